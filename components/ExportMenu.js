@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import {
+  downloadFile,
+  toCSV,
+  toJSON,
+  toTextSummary,
+} from '../lib/exportHistory';
+
+const slugify = (value) =>
+  value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '') || 'sessao';
+
+const ExportMenu = ({ groups, lapLength, filename }) => {
+  const [feedback, setFeedback] = useState('');
+
+  const options = () => ({ groups, lapLength, exportedAt: Date.now() });
+  const baseName = `${slugify(filename)}-${new Date()
+    .toISOString()
+    .slice(0, 10)}`;
+
+  const handleCSV = () => {
+    downloadFile(`${baseName}.csv`, toCSV(options()), 'text/csv;charset=utf-8');
+  };
+
+  const handleJSON = () => {
+    downloadFile(`${baseName}.json`, toJSON(options()), 'application/json');
+  };
+
+  const handleText = async () => {
+    const text = toTextSummary(options());
+    try {
+      if (navigator.share) {
+        await navigator.share({ text });
+        return;
+      }
+      await navigator.clipboard.writeText(text);
+      setFeedback('Resumo copiado!');
+    } catch (error) {
+      if (error?.name === 'AbortError') return;
+      setFeedback('Não foi possível copiar o resumo.');
+    }
+    setTimeout(() => setFeedback(''), 2500);
+  };
+
+  return (
+    <div className="export-menu">
+      <button type="button" className="settings-toggle" onClick={handleCSV}>
+        CSV
+      </button>
+      <button type="button" className="settings-toggle" onClick={handleJSON}>
+        JSON
+      </button>
+      <button type="button" className="settings-toggle" onClick={handleText}>
+        Texto
+      </button>
+      {feedback && <span className="export-feedback">{feedback}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { parseDistanceInput, parseDurationInput } from '../lib/pace';
+import { formatTimer } from '../lib/timers';
+import { REP_DISTANCE_UNIT, formatDistanceInput, toMeters } from '../lib/units';
+
+const MODE_LABELS = { run: 'Corrida', rest: 'Descanso' };
+
+// Durations are typed as "mm:ss.cc" or bare seconds.
+const parseMs = (value) => {
+  const seconds = parseDurationInput(value, 1);
+  return seconds === null ? null : Math.round(seconds * 1000);
+};
+
+const HistoryEntryEditor = ({
+  entry,
+  label,
+  canMerge,
+  onAdjust,
+  onSplit,
+  onMerge,
+  onSetDistance,
+  onDelete,
+  unitSystem = 'metric',
+  onClose,
+}) => {
+  const shownDuration = formatTimer(entry.duration);
+  const [duration, setDuration] = useState(shownDuration);
+  const [splitAt, setSplitAt] = useState('');
+  const distanceUnit = REP_DISTANCE_UNIT[unitSystem];
+  const shownDistance = formatDistanceInput(entry.distanceMeters, distanceUnit);
+  const [distance, setDistance] = useState(shownDistance);
+  const distanceMeters =
+    distance === shownDistance
+      ? (entry.distanceMeters ?? null)
+      : toMeters(parseDistanceInput(distance), distanceUnit);
+  // The field shows centiseconds; untouched, it still means the exact value.
+  const durationMs =
+    duration === shownDuration ? entry.duration : parseMs(duration);
+  const splitMs = parseMs(splitAt);
+
+  return (
+    <div className="history-editor">
+      <div className="history-editor-title">
+        <strong>
+          {MODE_LABELS[entry.mode]} {label}
+        </strong>
+        <button type="button" className="timer-plan-toggle" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+      <label>
+        Duração
+        <input
+          type="text"
+          value={duration}
+          onChange={(event) => setDuration(event.target.value)}
+        />
+        <button
+          type="button"
+          className="settings-toggle ghost"
+          disabled={durationMs === null || durationMs === entry.duration}
+          onClick={() => onAdjust(durationMs)}
+        >
+          Ajustar
+        </button>
+      </label>
+      <label>
+        Transição perdida em
+        <input
+          type="text"
+          placeholder="mm:ss"
+          value={splitAt}
+          onChange={(event) => setSplitAt(event.target.value)}
+        />
+        <button
+          type="button"
+          className="settings-toggle ghost"
+          disabled={!(splitMs > 0 && splitMs < entry.duration)}
+          onClick={() => onSplit(splitMs)}
+        >
+          Dividir
+        </button>
+      </label>
+      {entry.mode === 'run' && (
+        <label>
+          Distância desta rep
+          <input
+            type="text"
+            inputMode="decimal"
+            placeholder={distanceUnit}
+            value={distance}
+            onChange={(event) => setDistance(event.target.value)}
+          />
+          <button
+            type="button"
+            className="settings-toggle ghost"
+            disabled={
+              (distanceMeters ?? null) === (entry.distanceMeters ?? null)
+            }
+            onClick={() => onSetDistance(distanceMeters)}
+          >
+            {distanceMeters ? 'Definir' : 'Limpar'}
+          </button>
+        </label>
+      )}
+      <div className="session-restored-actions">
+        <button
+          type="button"
+          className="settings-toggle ghost"
+          disabled={!canMerge}
+          onClick={onMerge}
+          title="Remove uma transição registrada por engano"
+        >
+          Juntar com a próxima
+        </button>
+        <button
+          type="button"
+          className="settings-toggle ghost"
+          onClick={onDelete}
+          title="Remove a fase e soma o tempo dela à fase anterior"
+        >
+          Excluir
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryEntryEditor;
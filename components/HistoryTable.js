@@ -0,0 +1,201 @@
+import { useMemo } from 'react';
+import { formatDuration, formatPace } from '../lib/pace';
+import { formatSpeed } from '../lib/speed';
+import {
+  comparePlan,
+  formatSignedSeconds,
+  formatTimer,
+  pairHistory,
+  rowDistance,
+  runMetrics,
+  summarizeDeviation,
+  summarizeDistance,
+} from '../lib/timers';
+import { formatDistance } from '../lib/units';
+
+const DEVIATION_LABELS = {
+  fast: 'Rápido',
+  slow: 'Lento',
+  'on-target': 'No alvo',
+};
+
+const HistoryTable = ({
+  history,
+  plan,
+  athletes = [],
+  onSelectEntry,
+  selectedEntryId = null,
+  repDistanceMeters = null,
+  lapLength = null,
+  unitSystem = 'metric',
+}) => {
+  const comparedRows = useMemo(
+    () => comparePlan(pairHistory(history), plan),
+    [history, plan]
+  );
+  const deviation = useMemo(
+    () => summarizeDeviation(comparedRows),
+    [comparedRows]
+  );
+  const distanceSummary = useMemo(
+    () => summarizeDistance(comparedRows, repDistanceMeters),
+    [comparedRows, repDistanceMeters]
+  );
+
+  // Reps captured per athlete get one column each, after the group's run.
+  const athleteColumns = history.some((entry) => entry.finishes)
+    ? athletes
+    : [];
+  const columnStyle = athleteColumns.length
+    ? {
+        gridTemplateColumns: [
+          '24px',
+          ...(plan ? ['1fr'] : []),
+          '1fr',
+          ...athleteColumns.map(() => '1fr'),
+          ...(plan ? ['1fr'] : []),
+          '1fr',
+        ].join(' '),
+      }
+    : undefined;
+
+  // Entries become buttons when the table is editable; hand-edited values
+  // carry a mark in every view.
+  const renderEntry = (entry) => {
+    if (!entry) return '—';
+    const content = (
+      <>
+        {formatTimer(entry.duration)}
+        {entry.edited && (
+          <span className="history-edited" title="Editado manualmente">
+            ✎
+          </span>
+        )}
+      </>
+    );
+    if (!onSelectEntry) return content;
+    return (
+      <button
+        type="button"
+        className={`history-entry ${
+          entry.id === selectedEntryId ? 'selected' : ''
+        }`}
+        onClick={() => onSelectEntry(entry.id)}
+      >
+        {content}
+      </button>
+    );
+  };
+
+  const renderMetrics = (row) => {
+    const distanceMeters = rowDistance(row, repDistanceMeters);
+    const metrics = row.run
+      ? runMetrics(row.run.duration, distanceMeters, lapLength)
+      : null;
+    if (!metrics) return null;
+    return (
+      <small className="history-metrics">
+        {formatDistance(distanceMeters, unitSystem)} ·{' '}
+        {formatPace(metrics.secondsPerKm, unitSystem)} ·{' '}
+        {formatSpeed(metrics.speedKmh, unitSystem)}
+        {metrics.lapMs !== null && ` · ${formatTimer(metrics.lapMs)}/volta`}
+      </small>
+    );
+  };
+
+  return (
+    <>
+      <div
+        className={`timer-history-table ${plan ? 'with-plan' : ''} ${
+          athleteColumns.length ? 'with-athletes' : ''
+        }`}
+      >
+        <div className="history-header" style={columnStyle}>
+          <span>#</span>
+          {plan && <span>Alvo</span>}
+          <span>Corrida</span>
+          {athleteColumns.map((athlete) => (
+            <span key={athlete.id} className="history-athlete">
+              {athlete.name}
+            </span>
+          ))}
+          {plan && <span>Dif.</span>}
+          <span>Descanso</span>
+        </div>
+        <div className="history-body">
+          {comparedRows.map((row, index) => (
+            <div key={index} className="history-row" style={columnStyle}>
+              <span className="history-idx">{index + 1}</span>
+              {plan && (
+                <span className="history-target">
+                  {row.planned ? formatDuration(row.planned.timeSeconds) : '—'}
+                </span>
+              )}
+              <span className="history-run">
+                {renderEntry(row.run)}
+                {renderMetrics(row)}
+              </span>
+              {athleteColumns.map((athlete) => {
+                const finish = row.run?.finishes?.[athlete.id];
+                return (
+                  <span key={athlete.id} className="history-athlete">
+                    {finish != null ? formatTimer(finish) : '—'}
+                  </span>
+                );
+              })}
+              {plan && (
+                <span
+                  className={`history-diff ${row.comparison?.status ?? ''}`}
+                  title={
+                    row.comparison
+                      ? DEVIATION_LABELS[row.comparison.status]
+                      : undefined
+                  }
+                >
+                  {row.comparison
+                    ? formatSignedSeconds(row.comparison.diffMs)
+                    : '—'}
+                </span>
+              )}
+              <span className="history-rest">{renderEntry(row.rest)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+      {distanceSummary && (
+        <div className="timer-plan-summary">
+          <span>
+            Distância total:{' '}
+            <strong>
+              {formatDistance(distanceSummary.totalMeters, unitSystem)}
+            </strong>
+          </span>
+          <span>
+            Pace médio:{' '}
+            <strong>
+              {formatPace(distanceSummary.secondsPerKm, unitSystem)}
+            </strong>
+          </span>
+        </div>
+      )}
+      {plan && deviation && (
+        <div className="timer-plan-summary">
+          <span>
+            Desvio médio:{' '}
+            <strong>{formatSignedSeconds(deviation.meanDiffMs)}</strong>
+          </span>
+          <span>
+            Consistência:{' '}
+            <strong>±{(deviation.stdDevMs / 1000).toFixed(1)} s</strong>
+          </span>
+          <span>
+            Erro absoluto médio:{' '}
+            <strong>{(deviation.meanAbsDiffMs / 1000).toFixed(1)} s</strong>
+          </span>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default HistoryTable;
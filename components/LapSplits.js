@@ -0,0 +1,41 @@
+import Link from 'next/link';
+import { formatDuration } from '../lib/pace';
+import { formatTrackMeters } from '../lib/track';
+
+const LapSplits = ({ splits, lapLength, bandHref, unitSystem = 'metric' }) => {
+  if (!splits.length) return null;
+
+  return (
+    <div className="splits">
+      <div className="splits-header">
+        <h3>Parciais ({formatTrackMeters(lapLength, unitSystem)})</h3>
+        {bandHref && (
+          <Link href={bandHref} className="settings-toggle ghost">
+            Pulseira de ritmo
+          </Link>
+        )}
+      </div>
+      <ul>
+        {splits.map((split) => (
+          <li key={split.id}>
+            <span>
+              {split.isStart ? 'Largada' : `${split.lap}ª volta`} —{' '}
+              {formatTrackMeters(split.cumulativeMeters, unitSystem)}{' '}
+              {split.isFinal ? '(final)' : ''}
+            </span>
+            <span>
+              {split.lapSeconds ? (
+                <span className="split-lap-time">
+                  volta {formatDuration(split.lapSeconds)}
+                </span>
+              ) : null}
+              {formatDuration(split.seconds) ?? '—'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default LapSplits;
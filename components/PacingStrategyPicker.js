@@ -0,0 +1,77 @@
+import { PACING_STRATEGIES } from '../lib/pace';
+import { PACE_UNITS } from '../lib/units';
+
+// Units are per km or per mile, following the unit system.
+const VALUE_FIELDS = {
+  negative: {
+    label: '2ª metade mais rápida',
+    unit: (paceUnit) => `(s / ${paceUnit})`,
+    placeholder: { metric: '10', imperial: '15' },
+  },
+  progressive: {
+    label: 'Cada volta mais rápida',
+    unit: () => '(s)',
+    placeholder: { metric: '1', imperial: '1' },
+  },
+  halves: {
+    label: 'Pace da 1ª metade',
+    unit: (paceUnit) => `(mm:ss / ${paceUnit})`,
+    placeholder: { metric: '04:40', imperial: '07:30' },
+  },
+};
+
+const PacingStrategyPicker = ({
+  strategy,
+  unitSystem = 'metric',
+  onChange,
+  isInvalid,
+}) => {
+  const valueField = VALUE_FIELDS[strategy.type];
+
+  return (
+    <div className="pacing-strategy">
+      <label>
+        <span>Estratégia de ritmo</span>
+        <select
+          value={strategy.type}
+          onChange={(event) =>
+            onChange({ type: event.target.value, value: '' })
+          }
+        >
+          {Object.entries(PACING_STRATEGIES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {valueField && (
+        <label>
+          <span>
+            {valueField.label}{' '}
+            <span className="unit">
+              {valueField.unit(PACE_UNITS[unitSystem].label)}
+            </span>
+          </span>
+          <input
+            type="text"
+            inputMode="decimal"
+            placeholder={valueField.placeholder[unitSystem]}
+            value={strategy.value}
+            onChange={(event) =>
+              onChange({ ...strategy, value: event.target.value })
+            }
+          />
+        </label>
+      )}
+      {isInvalid && (
+        <p className="pacing-warning">
+          Essa estratégia exigiria um ritmo impossível para o tempo total.
+          Ajuste o valor.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PacingStrategyPicker;
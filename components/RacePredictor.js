@@ -0,0 +1,129 @@
+import { useMemo, useState } from 'react';
+import { formatDuration, formatPace, parseDurationInput } from '../lib/pace';
+import {
+  PREDICTION_DISTANCES,
+  PREDICTION_MODELS,
+  buildPredictionTable,
+  computeVDOT,
+} from '../lib/predictor';
+
+const RacePredictor = ({ onApply, unitSystem = 'metric' }) => {
+  const [referenceId, setReferenceId] = useState('5000');
+  const [time, setTime] = useState('');
+  const [model, setModel] = useState('riegel');
+
+  const reference = PREDICTION_DISTANCES.find(
+    (distance) => distance.id === referenceId
+  );
+  const timeSeconds = parseDurationInput(time);
+
+  const rows = useMemo(
+    () =>
+      timeSeconds
+        ? buildPredictionTable({
+            model,
+            distanceMeters: reference.meters,
+            timeSeconds,
+          })
+        : [],
+    [model, reference.meters, timeSeconds]
+  );
+  const vdot = timeSeconds ? computeVDOT(reference.meters, timeSeconds) : null;
+
+  return (
+    <article className="card compact predictor">
+      <div className="card-header">
+        <h2>Previsão de provas</h2>
+        <p>
+          Informe um resultado recente e veja os tempos equivalentes em outras
+          distâncias.
+        </p>
+      </div>
+
+      <div className="form-grid">
+        <label>
+          <span>Prova de referência</span>
+          <select
+            value={referenceId}
+            onChange={(event) => setReferenceId(event.target.value)}
+          >
+            {PREDICTION_DISTANCES.map((distance) => (
+              <option key={distance.id} value={distance.id}>
+                {distance.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>
+            Tempo <span className="unit">(hh:mm:ss)</span>
+          </span>
+          <input
+            type="text"
+            placeholder="19:30"
+            value={time}
+            onChange={(event) => setTime(event.target.value)}
+          />
+        </label>
+        <label>
+          <span>Modelo</span>
+          <select
+            value={model}
+            onChange={(event) => setModel(event.target.value)}
+          >
+            {Object.entries(PREDICTION_MODELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {rows.length ? (
+        <>
+          {vdot > 0 && (
+            <p className="predictor-vdot">
+              VDOT estimado: <strong>{vdot.toFixed(1)}</strong>
+            </p>
+          )}
+          <ul className="predictor-table">
+            {rows.map((row) => (
+              <li
+                key={row.id}
+                className={row.isReference ? 'predictor-reference' : ''}
+              >
+                <span className="predictor-distance">{row.label}</span>
+                <span className="predictor-time">
+                  {formatDuration(row.seconds) ?? '—'}
+                </span>
+                <span className="predictor-pace">
+                  {formatPace(row.paceSeconds, unitSystem) ?? '—'}
+                </span>
+                <button
+                  type="button"
+                  className="settings-toggle ghost"
+                  disabled={!row.seconds}
+                  onClick={() =>
+                    onApply({
+                      distanceMeters: row.meters,
+                      timeSeconds: row.seconds,
+                    })
+                  }
+                >
+                  Usar
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="track-placeholder">
+          Informe o tempo da prova de referência para calcular as previsões.
+        </p>
+      )}
+    </article>
+  );
+};
+
+export default RacePredictor;
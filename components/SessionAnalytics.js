@@ -0,0 +1,302 @@
+import { useMemo, useState } from 'react';
+import { formatWorkRestRatio, sessionAnalytics } from '../lib/analytics';
+import { formatDuration } from '../lib/pace';
+import { formatSignedSeconds, formatTimer } from '../lib/timers';
+
+const CHART = { width: 600, height: 240, left: 52, right: 16, top: 16 };
+const AXIS_HEIGHT = 28;
+const TICK_COUNT = 4;
+const SERIES_COLORS = 6;
+
+const plotWidth = CHART.width - CHART.left - CHART.right;
+const plotHeight = CHART.height - CHART.top - AXIS_HEIGHT;
+
+// Maps rep numbers and durations into the plot area. The value range gets
+// some headroom so points do not sit on the frame.
+const buildScales = (repCount, values, fromZero = false) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const padding = (max - min) * 0.15 || max * 0.1 || 1000;
+  const low = fromZero ? 0 : Math.max(0, min - padding);
+  const high = max + padding;
+  return {
+    x: (rep) =>
+      CHART.left +
+      (repCount > 1 ? ((rep - 1) / (repCount - 1)) * plotWidth : plotWidth / 2),
+    y: (ms) => CHART.top + (1 - (ms - low) / (high - low)) * plotHeight,
+    ticks: Array.from(
+      { length: TICK_COUNT + 1 },
+      (_, index) => low + ((high - low) * index) / TICK_COUNT
+    ),
+  };
+};
+
+const formatTick = (ms) => formatDuration(ms / 1000) ?? '0:00';
+
+const ChartFrame = ({ label, scales, repCount, children }) => (
+  <svg
+    className="analytics-chart"
+    viewBox={`0 0 ${CHART.width} ${CHART.height}`}
+    preserveAspectRatio="xMidYMid meet"
+    role="img"
+    aria-label={label}
+  >
+    {scales.ticks.map((tick) => (
+      <g key={tick}>
+        <line
+          className="analytics-grid"
+          x1={CHART.left}
+          x2={CHART.width - CHART.right}
+          y1={scales.y(tick)}
+          y2={scales.y(tick)}
+        />
+        <text
+          className="analytics-tick"
+          x={CHART.left - 8}
+          y={scales.y(tick)}
+          textAnchor="end"
+          dominantBaseline="middle"
+        >
+          {formatTick(tick)}
+        </text>
+      </g>
+    ))}
+    {Array.from({ length: repCount }, (_, index) => (
+      <text
+        key={index}
+        className="analytics-tick"
+        x={scales.x(index + 1)}
+        y={CHART.height - 8}
+        textAnchor="middle"
+      >
+        {index + 1}
+      </text>
+    ))}
+    {children}
+  </svg>
+);
+
+// Rep times over reps, one line per group. A single group also gets its
+// mean and a ±1 standard deviation band.
+const RepChart = ({ series, meanMs = null, stdDevMs = null }) => {
+  const repCount = Math.max(...series.map((item) => item.reps.length));
+  const values = series.flatMap((item) => item.reps.map((rep) => rep.runMs));
+  const scales = buildScales(repCount, values);
+
+  return (
+    <ChartFrame
+      label="Tempos das repetições"
+      scales={scales}
+      repCount={repCount}
+    >
+      {meanMs !== null && stdDevMs !== null && (
+        <rect
+          className="analytics-band"
+          x={CHART.left}
+          width={plotWidth}
+          y={scales.y(meanMs + stdDevMs)}
+          height={scales.y(meanMs - stdDevMs) - scales.y(meanMs + stdDevMs)}
+        />
+      )}
+      {meanMs !== null && (
+        <line
+          className="analytics-mean"
+          x1={CHART.left}
+          x2={CHART.width - CHART.right}
+          y1={scales.y(meanMs)}
+          y2={scales.y(meanMs)}
+        />
+      )}
+      {series.map((item, index) => (
+        <g
+          key={item.id}
+          className={`analytics-series series-${index % SERIES_COLORS}`}
+        >
+          <polyline
+            points={item.reps
+              .map((rep) => `${scales.x(rep.rep)},${scales.y(rep.runMs)}`)
+              .join(' ')}
+          />
+          {item.reps.map((rep) => (
+            <circle
+              key={rep.rep}
+              cx={scales.x(rep.rep)}
+              cy={scales.y(rep.runMs)}
+              r="5"
+            >
+              <title>
+                {item.name} · rep {rep.rep}: {formatTimer(rep.runMs)}
+              </title>
+            </circle>
+          ))}
+        </g>
+      ))}
+    </ChartFrame>
+  );
+};
+
+const RestChart = ({ reps }) => {
+  const rests = reps.filter((rep) => rep.restMs !== null);
+  if (!rests.length) return null;
+  const scales = buildScales(
+    reps.length,
+    rests.map((rep) => rep.restMs),
+    true
+  );
+  const barWidth = Math.min(36, (plotWidth / reps.length) * 0.6);
+
+  return (
+    <ChartFrame
+      label="Duração dos descansos"
+      scales={scales}
+      repCount={reps.length}
+    >
+      {rests.map((rep) => (
+        <rect
+          key={rep.rep}
+          className="analytics-rest-bar"
+          x={scales.x(rep.rep) - barWidth / 2}
+          y={scales.y(rep.restMs)}
+          width={barWidth}
+          height={scales.y(0) - scales.y(rep.restMs)}
+        >
+          <title>
+            Descanso após a rep {rep.rep}: {formatTimer(rep.restMs)}
+          </title>
+        </rect>
+      ))}
+    </ChartFrame>
+  );
+};
+
+const formatStdDev = (ms) =>
+  ms === null ? '—' : `±${(ms / 1000).toFixed(1)} s`;
+
+const formatTrend = (ms) =>
+  ms === null ? '—' : `${formatSignedSeconds(ms)}/rep`;
+
+const STAT_ROWS = [
+  ['Repetições', (stats) => stats.reps.length],
+  ['Média', (stats) => formatTimer(stats.meanMs)],
+  ['Desvio padrão', (stats) => formatStdDev(stats.stdDevMs)],
+  [
+    'Mais rápida',
+    (stats) => `${formatTimer(stats.fastest.runMs)} (rep ${stats.fastest.rep})`,
+  ],
+  [
+    'Mais lenta',
+    (stats) => `${formatTimer(stats.slowest.runMs)} (rep ${stats.slowest.rep})`,
+  ],
+  [
+    'Descanso médio',
+    (stats) =>
+      stats.meanRestMs === null ? '—' : formatTimer(stats.meanRestMs),
+  ],
+  ['Trabalho:descanso', (stats) => formatWorkRestRatio(stats.workRestRatio)],
+  ['Tendência', (stats) => formatTrend(stats.trendMsPerRep)],
+];
+
+const GroupAnalytics = ({ stats }) => (
+  <>
+    <div className="results-grid analytics-stats">
+      {STAT_ROWS.map(([label, value]) => (
+        <div key={label} className="result-tile">
+          <p className="result-label">{label}</p>
+          <p className="result-detail">{value(stats)}</p>
+        </div>
+      ))}
+    </div>
+    <h4 className="analytics-title">Tempo por repetição</h4>
+    <RepChart
+      series={[stats]}
+      meanMs={stats.meanMs}
+      stdDevMs={stats.stdDevMs}
+    />
+    <h4 className="analytics-title">Descansos</h4>
+    <RestChart reps={stats.reps} />
+  </>
+);
+
+const GroupComparison = ({ groups }) => (
+  <>
+    <RepChart series={groups} />
+    <ul className="analytics-legend">
+      {groups.map((stats, index) => (
+        <li key={stats.id} className={`series-${index % SERIES_COLORS}`}>
+          {stats.name}
+        </li>
+      ))}
+    </ul>
+    <div className="analytics-compare">
+      <table>
+        <thead>
+          <tr>
+            <th />
+            {groups.map((stats) => (
+              <th key={stats.id}>{stats.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {STAT_ROWS.map(([label, value]) => (
+            <tr key={label}>
+              <th>{label}</th>
+              {groups.map((stats) => (
+                <td key={stats.id}>{value(stats)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </>
+);
+
+const SessionAnalytics = ({ groups }) => {
+  const analytics = useMemo(() => sessionAnalytics(groups), [groups]);
+  const [view, setView] = useState('all');
+
+  if (!analytics.length) return null;
+  const selected =
+    analytics.length === 1
+      ? analytics[0]
+      : (analytics.find((stats) => stats.id === view) ?? null);
+
+  return (
+    <section className="session-analytics">
+      <div className="card-header">
+        <h3>Análise</h3>
+        {analytics.length > 1 && (
+          <div className="analytics-tabs">
+            <button
+              type="button"
+              className={`settings-toggle ${selected ? 'ghost' : ''}`}
+              onClick={() => setView('all')}
+            >
+              Comparar grupos
+            </button>
+            {analytics.map((stats) => (
+              <button
+                key={stats.id}
+                type="button"
+                className={`settings-toggle ${
+                  selected?.id === stats.id ? '' : 'ghost'
+                }`}
+                onClick={() => setView(stats.id)}
+              >
+                {stats.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {selected ? (
+        <GroupAnalytics stats={selected} />
+      ) : (
+        <GroupComparison groups={analytics} />
+      )}
+    </section>
+  );
+};
+
+export default SessionAnalytics;
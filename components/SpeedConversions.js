@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { formatDuration } from '../lib/pace';
+import { formatSpeed, splitTimes, treadmillSpeed } from '../lib/speed';
+
+const formatSplit = (seconds) =>
+  seconds < 60
+    ? `${seconds.toFixed(1).replace('.', ',')} s`
+    : formatDuration(seconds);
+
+const SpeedConversions = ({ paceSeconds, unitSystem }) => {
+  const [incline, setIncline] = useState('1');
+
+  if (!paceSeconds) return null;
+
+  const beltSpeed = treadmillSpeed(
+    paceSeconds,
+    Number.parseFloat(incline.replace(',', '.'))
+  );
+
+  return (
+    <div className="speed-conversions">
+      <ul className="speed-splits">
+        {splitTimes(paceSeconds).map((split) => (
+          <li key={split.meters}>
+            <span>{split.meters} m</span>
+            <strong>{formatSplit(split.seconds)}</strong>
+          </li>
+        ))}
+      </ul>
+
+      <div className="treadmill">
+        <label>
+          <span>
+            Esteira — inclinação <span className="unit">(%)</span>
+          </span>
+          <input
+            type="number"
+            min="0"
+            max="15"
+            step="0.5"
+            value={incline}
+            onChange={(event) => setIncline(event.target.value)}
+          />
+        </label>
+        <p className="treadmill-result">
+          {beltSpeed ? (
+            <>
+              Velocidade equivalente:{' '}
+              <strong>{formatSpeed(beltSpeed, unitSystem)}</strong>
+              {unitSystem === 'imperial'
+                ? ` (${formatSpeed(beltSpeed)})`
+                : ` (${formatSpeed(beltSpeed, 'imperial')})`}
+            </>
+          ) : (
+            'Informe uma inclinação válida.'
+          )}
+        </p>
+        <p className="treadmill-note">
+          Com 1% de inclinação a esteira equivale à pista plana.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SpeedConversions;
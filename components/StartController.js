@@ -0,0 +1,117 @@
+const START_MODES = {
+  simultaneous: 'Simultânea',
+  staggered: 'Escalonada',
+};
+
+const StartController = ({
+  groups,
+  options,
+  onOptionsChange,
+  onMove,
+  isScheduled,
+  countdown,
+  nextGroupName,
+  onStart,
+  onCancel,
+}) => {
+  const setOption = (field) => (event) =>
+    onOptionsChange({ ...options, [field]: event.target.value });
+  const intervalSeconds = Number(options.interval) || 0;
+  const idleGroups = groups.filter((group) => group.mode === 'idle');
+
+  return (
+    <div className="start-controller">
+      <div className="start-controller-options">
+        <label>
+          Largada
+          <select value={options.mode} onChange={setOption('mode')}>
+            {Object.entries(START_MODES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Contagem
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={options.countdown}
+            onChange={setOption('countdown')}
+          />
+          s
+        </label>
+        {options.mode === 'staggered' && (
+          <label>
+            Intervalo
+            <input
+              type="number"
+              min="0"
+              step="5"
+              value={options.interval}
+              onChange={setOption('interval')}
+            />
+            s
+          </label>
+        )}
+      </div>
+
+      {options.mode === 'staggered' && idleGroups.length > 1 && (
+        <ol className="start-order">
+          {idleGroups.map((group, index) => (
+            <li key={group.id}>
+              <span>{group.name}</span>
+              <span className="archive-meta">+{index * intervalSeconds} s</span>
+              <button
+                type="button"
+                className="timer-plan-toggle"
+                onClick={() => onMove(group.id, -1)}
+                disabled={index === 0}
+                aria-label={`Largar ${group.name} antes`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="timer-plan-toggle"
+                onClick={() => onMove(group.id, 1)}
+                disabled={index === idleGroups.length - 1}
+                aria-label={`Largar ${group.name} depois`}
+              >
+                ↓
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {isScheduled ? (
+        <div className="start-countdown">
+          <strong>
+            {nextGroupName} larga em {countdown} s
+          </strong>
+          <button
+            type="button"
+            className="settings-toggle ghost"
+            onClick={onCancel}
+          >
+            Cancelar largada
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          className="settings-toggle"
+          onClick={onStart}
+          disabled={!idleGroups.length}
+        >
+          ▶ Iniciar Todos
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default StartController;
@@ -0,0 +1,807 @@
+import Link from 'next/link';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { playCue, primeAudio } from '../lib/audioCues';
+import { getClock } from '../lib/clock';
+import {
+  formatDuration,
+  parseDistanceInput,
+  parseDurationInput,
+} from '../lib/pace';
+import {
+  adjustEntry,
+  advanceProgram,
+  applyRestDelay,
+  canUndo,
+  deleteEntry,
+  formatSignedSeconds,
+  formatTimer,
+  isLastProgramRep,
+  lapGroup,
+  mergeWithNext,
+  pairHistory,
+  phaseCues,
+  phaseLimit,
+  programDueAt,
+  recordAthleteFinish,
+  resetGroup,
+  restDueAt,
+  resumeGroup,
+  setEntryDistance,
+  splitEntry,
+  startGroup,
+  stopGroup,
+  undoGroup,
+} from '../lib/timers';
+import {
+  REP_DISTANCE_UNIT,
+  formatDistance,
+  formatDistanceInput,
+  toMeters,
+} from '../lib/units';
+import ExportMenu from './ExportMenu';
+import HistoryEntryEditor from './HistoryEntryEditor';
+import HistoryTable from './HistoryTable';
+
+const DEFAULT_PROGRAM_INPUT = { reps: '8', run: '2:00', rest: '1:00' };
+
+// Run and rest accept "mm:ss" or bare seconds; rest may be zero.
+const parseProgram = (input) => {
+  const reps = Number.parseInt(input.reps, 10);
+  const runSeconds = parseDurationInput(input.run, 1);
+  const restSeconds = parseDurationInput(input.rest, 1);
+  if (!(reps >= 1) || !(runSeconds > 0) || !(restSeconds >= 0)) return null;
+  return { reps, runSeconds, restSeconds };
+};
+
+const programToInput = (program) =>
+  program
+    ? {
+        reps: String(program.reps),
+        run: String(program.runSeconds),
+        rest: String(program.restSeconds),
+      }
+    : DEFAULT_PROGRAM_INPUT;
+
+const TimerGroup = ({
+  group,
+  lapLength,
+  onUpdate,
+  onRemove,
+  plannedReps = [],
+  athletes = [],
+  unitSystem = 'metric',
+}) => {
+  const {
+    id,
+    name,
+    mode,
+    startTime,
+    pausedAt,
+    history,
+    plan,
+    individualLaps,
+    restDelaySeconds,
+    pendingFinishes,
+    program,
+    targetRepSeconds,
+    maxRestSeconds,
+    repDistanceMeters,
+  } = group;
+  const [isEditingName, setIsEditingName] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [selectedEntryId, setSelectedEntryId] = useState(null);
+  const [programInput, setProgramInput] = useState(() =>
+    programToInput(program)
+  );
+  const [limitInput, setLimitInput] = useState(() => ({
+    targetRepSeconds: targetRepSeconds ? String(targetRepSeconds) : '',
+    maxRestSeconds: maxRestSeconds ? String(maxRestSeconds) : '',
+  }));
+  const repDistanceUnit = REP_DISTANCE_UNIT[unitSystem];
+  const [distanceInput, setDistanceInput] = useState(() =>
+    formatDistanceInput(repDistanceMeters, repDistanceUnit)
+  );
+  const playedCuesRef = useRef(new Set());
+  // The latest group, for timeouts that fire after it has changed.
+  const groupRef = useRef(group);
+
+  const update = (updater) => onUpdate(id, updater);
+
+  useEffect(() => {
+    groupRef.current = group;
+  }, [group]);
+
+  // Cues only ever repeat within a phase, so a new phase (or one restored
+  // by undo) starts with none played.
+  useEffect(() => {
+    playedCuesRef.current.clear();
+  }, [startTime]);
+
+  useEffect(() => {
+    if (mode === 'idle' || !startTime) {
+      setElapsed(0);
+      return undefined;
+    }
+    if (pausedAt) {
+      setElapsed(pausedAt - startTime);
+      return undefined;
+    }
+    return getClock().subscribe((now) => setElapsed(now - startTime));
+  }, [mode, startTime, pausedAt]);
+
+  const handleStart = () => {
+    primeAudio();
+    if (program) playCue('run');
+    update((current) => startGroup(current, getClock().now()));
+  };
+
+  const handleLap = () =>
+    update((current) => lapGroup(current, getClock().now()));
+
+  const handleStop = () =>
+    update((current) => stopGroup(current, getClock().now()));
+
+  const handleResume = () =>
+    update((current) => resumeGroup(current, getClock().now()));
+
+  const handleReset = () => update(resetGroup);
+
+  const handleUndo = () => update(undoGroup);
+
+  const handleAthleteFinish = (athleteId) =>
+    update((current) =>
+      recordAthleteFinish(current, athleteId, getClock().now())
+    );
+
+  // With a rest delay, rest starts on its own once the delay after the first
+  // finisher has passed, even if some athletes never tapped in.
+  const dueAt = restDueAt(group);
+  useEffect(() => {
+    if (dueAt === null) return undefined;
+    const timeout = setTimeout(
+      () => update((current) => applyRestDelay(current, getClock().now())),
+      Math.max(0, dueAt - getClock().now())
+    );
+    return () => clearTimeout(timeout);
+  }, [dueAt]);
+
+  // Programmed groups switch phase on their own at the end of each run or
+  // rest, and stop after the last rep. The rep count can change mid-run, so
+  // the cue is picked when the timeout fires.
+  const programDue = programDueAt(group);
+  useEffect(() => {
+    if (programDue === null) return undefined;
+    const timeout = setTimeout(
+      () => {
+        const latest = groupRef.current;
+        playCue(
+          isLastProgramRep(latest)
+            ? 'finish'
+            : latest.mode === 'run'
+              ? 'rest'
+              : 'run'
+        );
+        update((current) => advanceProgram(current, getClock().now()));
+      },
+      Math.max(0, programDue - getClock().now())
+    );
+    return () => clearTimeout(timeout);
+  }, [programDue]);
+
+  const limit = phaseLimit(group, elapsed);
+  const limitDue = limit?.dueAt ?? null;
+
+  // Countdowns and limit alerts, checked every frame and played once each.
+  useEffect(() => {
+    phaseCues(group, getClock().now()).forEach(({ key, cue }) => {
+      if (playedCuesRef.current.has(key)) return;
+      playedCuesRef.current.add(key);
+      playCue(cue);
+    });
+  }, [elapsed, programDue, limitDue]);
+
+  const handleLimitInput = (field) => (event) => {
+    const { value } = event.target;
+    setLimitInput((prev) => ({ ...prev, [field]: value }));
+    const seconds = parseDurationInput(value, 1);
+    update((current) => ({
+      ...current,
+      [field]: seconds > 0 ? seconds : null,
+    }));
+  };
+
+  // The rep distance is typed in the current unit and stored in metres.
+  useEffect(() => {
+    setDistanceInput(formatDistanceInput(repDistanceMeters, repDistanceUnit));
+  }, [repDistanceUnit]);
+
+  const handleDistanceInput = (event) => {
+    const { value } = event.target;
+    setDistanceInput(value);
+    update((current) => ({
+      ...current,
+      repDistanceMeters: toMeters(parseDistanceInput(value), repDistanceUnit),
+    }));
+  };
+
+  const handleProgramInput = (field) => (event) => {
+    const nextInput = { ...programInput, [field]: event.target.value };
+    setProgramInput(nextInput);
+    const nextProgram = parseProgram(nextInput);
+    if (program && nextProgram) {
+      update((current) => ({ ...current, program: nextProgram }));
+    }
+  };
+
+  const toggleProgram = (event) => {
+    const nextProgram = event.target.checked
+      ? parseProgram(programInput)
+      : null;
+    update((current) => ({ ...current, program: nextProgram }));
+  };
+
+  const setName = (nextName) =>
+    update((current) => ({ ...current, name: nextName }));
+
+  const setPlan = (nextPlan) =>
+    update((current) => ({ ...current, plan: nextPlan }));
+
+  const historyRows = useMemo(() => pairHistory(history), [history]);
+
+  const selectedIndex = history.findIndex(
+    (entry) => entry.id === selectedEntryId
+  );
+  const selectedEntry = history[selectedIndex] ?? null;
+  const selectedRow = historyRows.findIndex(
+    (row) => row.run === selectedEntry || row.rest === selectedEntry
+  );
+  const editSelected = (edit) => {
+    update(edit);
+    setSelectedEntryId(null);
+  };
+
+  const linkablePlan = plannedReps.filter((rep) => rep.timeSeconds);
+  // While resting, the next rep to run is already the current target.
+  const currentRepIndex = history.filter(
+    (entry) => entry.mode === 'run'
+  ).length;
+  const currentTarget = plan?.[currentRepIndex] ?? null;
+
+  const handleLinkPlan = () => {
+    setPlan(
+      linkablePlan.map(({ distanceMeters, timeSeconds }) => ({
+        distanceMeters,
+        timeSeconds,
+      }))
+    );
+  };
+
+  return (
+    <article
+      className={`card compact timer-group ${
+        mode === 'rest' && limit?.status === 'over' ? 'rest-over' : ''
+      }`}
+    >
+      <div className="card-header timer-header">
+        {isEditingName ? (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={() => setIsEditingName(false)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') setIsEditingName(false);
+            }}
+            autoFocus
+            className="timer-name-input"
+          />
+        ) : (
+          <h3
+            onClick={() => setIsEditingName(true)}
+            title="Clique para renomear"
+          >
+            {name}
+          </h3>
+        )}
+        <button
+          onClick={() => onRemove(id)}
+          className="timer-remove"
+          aria-label="Remover grupo"
+          title="Remover"
+        >
+          <svg
+            width="16"
+            height="16"
+            viewBox="0 0 24 24"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <polyline points="3 6 5 6 21 6"></polyline>
+            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+          </svg>
+        </button>
+      </div>
+
+      {athletes.length > 0 && (
+        <ul className="timer-athletes">
+          {athletes.map((athlete) => (
+            <li key={athlete.id}>
+              <Link href={`/atletas/${athlete.id}`}>{athlete.name}</Link>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="timer-display">
+        <span
+          className={`timer-value ${mode === 'rest' ? 'text-rest' : ''} ${
+            limit && limit.status !== 'ok' ? `limit-${limit.status}` : ''
+          }`}
+        >
+          {formatTimer(elapsed)}
+        </span>
+        <span className="timer-label">
+          {mode === 'idle'
+            ? 'Pronto'
+            : pausedAt
+              ? 'Pausado'
+              : mode === 'run'
+                ? 'Correndo'
+                : 'Descanso'}
+        </span>
+        {limit && (
+          <span className={`timer-limit ${limit.status}`}>
+            {formatSignedSeconds(limit.diffMs)}{' '}
+            {mode === 'run' ? 'vs alvo' : 'vs descanso máx.'}
+          </span>
+        )}
+      </div>
+
+      <div className="timer-limits">
+        <label>
+          Alvo por rep
+          <input
+            type="text"
+            placeholder={
+              currentTarget ? String(currentTarget.timeSeconds) : '—'
+            }
+            value={limitInput.targetRepSeconds}
+            onChange={handleLimitInput('targetRepSeconds')}
+          />
+        </label>
+        <label>
+          Descanso máx.
+          <input
+            type="text"
+            placeholder="—"
+            value={limitInput.maxRestSeconds}
+            onChange={handleLimitInput('maxRestSeconds')}
+          />
+        </label>
+        <label>
+          Distância por rep
+          <input
+            type="number"
+            min="0"
+            step="50"
+            placeholder={
+              formatDistanceInput(
+                currentTarget?.distanceMeters,
+                repDistanceUnit
+              ) || '—'
+            }
+            value={distanceInput}
+            onChange={handleDistanceInput}
+          />
+          {repDistanceUnit}
+        </label>
+      </div>
+
+      {plan ? (
+        <div className="timer-plan">
+          <span className="timer-plan-target">
+            {currentTarget
+              ? `Rep ${currentRepIndex + 1}/${plan.length} · ${formatDistance(
+                  currentTarget.distanceMeters,
+                  unitSystem
+                )} em ${formatDuration(currentTarget.timeSeconds)}`
+              : `Treino concluído (${plan.length} reps)`}
+          </span>
+          <button
+            type="button"
+            className="timer-plan-toggle"
+            onClick={() => setPlan(null)}
+            title="Desvincular treino"
+          >
+            ✕
+          </button>
+        </div>
+      ) : (
+        linkablePlan.length > 0 && (
+          <div className="timer-plan">
+            <button
+              type="button"
+              className="timer-plan-toggle"
+              onClick={handleLinkPlan}
+            >
+              Vincular treino ({linkablePlan.length} reps)
+            </button>
+          </div>
+        )
+      )}
+
+      <div className="timer-program">
+        <label className="timer-individual-toggle">
+          <input
+            type="checkbox"
+            checked={Boolean(program)}
+            onChange={toggleProgram}
+            disabled={!parseProgram(programInput)}
+          />
+          Intervalos automáticos
+        </label>
+        {program && (
+          <div className="timer-program-fields">
+            <label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={programInput.reps}
+                onChange={handleProgramInput('reps')}
+              />
+              ×
+            </label>
+            <label>
+              <input
+                type="text"
+                value={programInput.run}
+                onChange={handleProgramInput('run')}
+                aria-label="Tempo de corrida"
+              />
+              corrida
+            </label>
+            <label>
+              <input
+                type="text"
+                value={programInput.rest}
+                onChange={handleProgramInput('rest')}
+                aria-label="Tempo de descanso"
+              />
+              descanso
+            </label>
+          </div>
+        )}
+        {program && mode !== 'idle' && (
+          <p className="timer-program-status">
+            Rep{' '}
+            {Math.min(
+              history.filter((entry) => entry.mode === 'run').length +
+                (mode === 'run' ? 1 : 0),
+              program.reps
+            )}
+            /{program.reps} ·{' '}
+            {formatTimer(
+              (mode === 'run' ? program.runSeconds : program.restSeconds) *
+                1000 -
+                elapsed
+            )}{' '}
+            restante
+          </p>
+        )}
+      </div>
+
+      {athletes.length > 0 && (
+        <div className="timer-individual">
+          <label className="timer-individual-toggle">
+            <input
+              type="checkbox"
+              checked={Boolean(individualLaps)}
+              onChange={(event) =>
+                update((current) => ({
+                  ...current,
+                  individualLaps: event.target.checked,
+                }))
+              }
+            />
+            Chegada por atleta
+          </label>
+          {individualLaps && (
+            <label className="timer-individual-delay">
+              Descanso após
+              <input
+                type="number"
+                min="0"
+                step="5"
+                placeholder="todos"
+                value={restDelaySeconds ?? ''}
+                onChange={(event) =>
+                  update((current) => ({
+                    ...current,
+                    restDelaySeconds:
+                      Number(event.target.value) > 0
+                        ? Number(event.target.value)
+                        : null,
+                  }))
+                }
+              />
+              s
+            </label>
+          )}
+        </div>
+      )}
+
+      {individualLaps && mode === 'run' && !pausedAt && athletes.length > 0 && (
+        <div className="athlete-taps">
+          {athletes.map((athlete) => {
+            const finish = pendingFinishes?.[athlete.id];
+            return (
+              <button
+                key={athlete.id}
+                type="button"
+                className={`athlete-tap ${finish != null ? 'done' : ''}`}
+                onClick={() => handleAthleteFinish(athlete.id)}
+                disabled={finish != null}
+              >
+                <span>{athlete.name}</span>
+                <strong>
+                  {finish != null ? formatTimer(finish) : 'Chegou'}
+                </strong>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="timer-controls">
+        {mode === 'idle' ? (
+          <button
+            className="btn-primary btn-icon btn-run"
+            onClick={handleStart}
+            title="Iniciar"
+          >
+            <svg
+              width="24"
+              height="24"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <polygon
+                points="5 3 19 12 5 21 5 3"
+                fill="currentColor"
+                stroke="none"
+              />
+            </svg>
+          </button>
+        ) : (
+          <>
+            {pausedAt ? (
+              <button
+                className="btn-icon btn-run"
+                onClick={handleResume}
+                title="Retomar"
+              >
+                <svg
+                  width="24"
+                  height="24"
+                  viewBox="0 0 24 24"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                >
+                  <polygon
+                    points="5 3 19 12 5 21 5 3"
+                    fill="currentColor"
+                    stroke="none"
+                  />
+                </svg>
+              </button>
+            ) : (
+              <button
+                className={`btn-icon ${mode === 'run' ? 'btn-rest' : 'btn-run'}`}
+                onClick={handleLap}
+                title={mode === 'run' ? 'Descansar' : 'Correr'}
+              >
+                {mode === 'run' ? (
+                  <svg
+                    width="24"
+                    height="24"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                  >
+                    <rect
+                      x="6"
+                      y="4"
+                      width="4"
+                      height="16"
+                      fill="currentColor"
+                      stroke="none"
+                    />
+                    <rect
+                      x="14"
+                      y="4"
+                      width="4"
+                      height="16"
+                      fill="currentColor"
+                      stroke="none"
+                    />
+                  </svg>
+                ) : (
+                  <svg
+                    width="24"
+                    height="24"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                  >
+                    <polygon
+                      points="5 3 19 12 5 21 5 3"
+                      fill="currentColor"
+                      stroke="none"
+                    />
+                  </svg>
+                )}
+              </button>
+            )}
+            <button
+              className="btn-secondary btn-icon"
+              onClick={handleStop}
+              title="Parar"
+            >
+              <svg
+                width="24"
+                height="24"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              >
+                <rect
+                  x="6"
+                  y="6"
+                  width="12"
+                  height="12"
+                  fill="currentColor"
+                  stroke="none"
+                />
+              </svg>
+            </button>
+          </>
+        )}
+        {mode === 'idle' && history.length > 0 && (
+          <button
+            className="btn-secondary btn-icon"
+            onClick={handleReset}
+            title="Limpar"
+          >
+            ↺
+          </button>
+        )}
+        {canUndo(group) && (
+          <button
+            className="btn-secondary btn-icon"
+            onClick={handleUndo}
+            title="Desfazer"
+          >
+            ↶
+          </button>
+        )}
+        {history.length > 0 && (
+          <button
+            className="btn-secondary btn-icon"
+            onClick={() => setIsHistoryOpen(!isHistoryOpen)}
+            title={
+              isHistoryOpen
+                ? 'Ocultar Histórico'
+                : `Ver Histórico (${historyRows.length})`
+            }
+            style={
+              isHistoryOpen
+                ? { background: 'rgba(56, 189, 248, 0.15)', color: '#38bdf8' }
+                : {}
+            }
+          >
+            <svg
+              width="20"
+              height="20"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <line x1="8" y1="6" x2="21" y2="6"></line>
+              <line x1="8" y1="12" x2="21" y2="12"></line>
+              <line x1="8" y1="18" x2="21" y2="18"></line>
+              <line x1="3" y1="6" x2="3.01" y2="6"></line>
+              <line x1="3" y1="12" x2="3.01" y2="12"></line>
+              <line x1="3" y1="18" x2="3.01" y2="18"></line>
+            </svg>
+          </button>
+        )}
+      </div>
+
+      {history.length > 0 && isHistoryOpen && (
+        <div className="timer-history-section">
+          <HistoryTable
+            history={history}
+            plan={plan}
+            athletes={athletes}
+            repDistanceMeters={repDistanceMeters}
+            lapLength={lapLength}
+            unitSystem={unitSystem}
+            selectedEntryId={selectedEntryId}
+            onSelectEntry={(entryId) =>
+              setSelectedEntryId((current) =>
+                current === entryId ? null : entryId
+              )
+            }
+          />
+          {selectedEntry && (
+            <HistoryEntryEditor
+              key={selectedEntry.id}
+              entry={selectedEntry}
+              label={selectedRow + 1}
+              canMerge={selectedIndex < history.length - 1 || mode !== 'idle'}
+              onAdjust={(durationMs) =>
+                editSelected((current) =>
+                  adjustEntry(
+                    current,
+                    selectedEntry.id,
+                    durationMs,
+                    getClock().now()
+                  )
+                )
+              }
+              onSplit={(offsetMs) =>
+                editSelected((current) =>
+                  splitEntry(current, selectedEntry.id, offsetMs)
+                )
+              }
+              onMerge={() =>
+                editSelected((current) =>
+                  mergeWithNext(current, selectedEntry.id)
+                )
+              }
+              onSetDistance={(distanceMeters) =>
+                editSelected((current) =>
+                  setEntryDistance(current, selectedEntry.id, distanceMeters)
+                )
+              }
+              onDelete={() =>
+                editSelected((current) =>
+                  deleteEntry(current, selectedEntry.id)
+                )
+              }
+              unitSystem={unitSystem}
+              onClose={() => setSelectedEntryId(null)}
+            />
+          )}
+          <ExportMenu groups={[group]} lapLength={lapLength} filename={name} />
+        </div>
+      )}
+    </article>
+  );
+};
+
+export default TimerGroup;
@@ -0,0 +1,460 @@
+import Link from 'next/link';
+import { useEffect, useRef, useState } from 'react';
+import { playCue, primeAudio } from '../lib/audioCues';
+import { getClock } from '../lib/clock';
+import { createEmptyRoster, groupAthletes, loadRoster } from '../lib/roster';
+import { holdWakeLock } from '../lib/wakeLock';
+import { archiveSession, buildArchivedSession } from '../lib/sessionArchive';
+import {
+  applyStarts,
+  createStartSchedule,
+  nextScheduledStart,
+  takeDueStarts,
+} from '../lib/startSchedule';
+import {
+  STALE_SESSION_MS,
+  clearTimerSession,
+  createTimerGroup,
+  createTimerGroupFromRoster,
+  hasSessionActivity,
+  loadTimerSession,
+  nextGroupId,
+  pauseGroup,
+  resetGroup,
+  resumeGroup,
+  saveTimerSession,
+  stopGroup,
+} from '../lib/timers';
+import ExportMenu from './ExportMenu';
+import SessionAnalytics from './SessionAnalytics';
+import StartController from './StartController';
+import TimerGroup from './TimerGroup';
+
+const DEFAULT_START_OPTIONS = {
+  mode: 'simultaneous',
+  countdown: '5',
+  interval: '30',
+};
+
+const TimerManager = ({ plannedReps, lapLength, unitSystem }) => {
+  const [groups, setGroups] = useState(() => [createTimerGroup(1)]);
+  const [showHelp, setShowHelp] = useState(false);
+  const [isRestored, setIsRestored] = useState(false);
+  const [restoredSession, setRestoredSession] = useState(null);
+  const [archivedNotice, setArchivedNotice] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [isAnalyticsOpen, setIsAnalyticsOpen] = useState(false);
+  const [roster, setRoster] = useState(createEmptyRoster);
+  const [startOptions, setStartOptions] = useState(DEFAULT_START_OPTIONS);
+  const [startOrder, setStartOrder] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [countdown, setCountdown] = useState(null);
+  const playedCuesRef = useRef(new Set());
+
+  // Restore after mount so the server render and the first client render
+  // match; saving only starts once the stored session has been read.
+  useEffect(() => {
+    const saved = loadTimerSession();
+    if (saved && hasSessionActivity(saved.groups)) {
+      setGroups(saved.groups);
+      setRestoredSession({
+        savedAt: saved.savedAt,
+        isStale:
+          Boolean(saved.savedAt) &&
+          Date.now() - saved.savedAt > STALE_SESSION_MS,
+      });
+    }
+    setRoster(loadRoster());
+    setIsRestored(true);
+  }, []);
+
+  useEffect(() => {
+    if (isRestored) saveTimerSession(groups);
+  }, [groups, isRestored]);
+
+  // While a start is pending, every frame starts the groups that are due
+  // and counts down to the next one.
+  useEffect(() => {
+    if (!schedule) return undefined;
+    const playOnce = (key, cue) => {
+      if (playedCuesRef.current.has(key)) return;
+      playedCuesRef.current.add(key);
+      playCue(cue);
+    };
+    return getClock().subscribe((now) => {
+      const { due, schedule: pending } = takeDueStarts(schedule, now);
+      const next = nextScheduledStart(pending);
+      if (next) {
+        const secondsLeft = Math.ceil((next.at - now) / 1000);
+        setCountdown(secondsLeft);
+        if (secondsLeft <= 3) {
+          playOnce(`${next.at}-${secondsLeft}`, 'countdown');
+        }
+      }
+      if (!due.length) return;
+      playOnce(`${due[0].at}-start`, 'run');
+      setGroups((prev) => applyStarts(prev, due));
+      setSchedule(pending);
+    });
+  }, [schedule]);
+
+  const orderIndex = (id) => {
+    const index = startOrder.indexOf(id);
+    return index === -1 ? startOrder.length + id : index;
+  };
+  const orderedGroups = [...groups].sort(
+    (a, b) => orderIndex(a.id) - orderIndex(b.id)
+  );
+
+  const moveInStartOrder = (id, direction) => {
+    const ids = orderedGroups
+      .filter((group) => group.mode === 'idle')
+      .map((group) => group.id);
+    const index = ids.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    setStartOrder(ids);
+  };
+
+  const updateGroup = (id, updater) => {
+    setGroups((prev) =>
+      prev.map((group) => (group.id === id ? updater(group) : group))
+    );
+  };
+
+  const addGroup = () => {
+    setGroups((prev) => [...prev, createTimerGroup(nextGroupId(prev))]);
+  };
+
+  const addRosterGroup = (event) => {
+    const rosterGroup = roster.groups.find(
+      (group) => group.id === event.target.value
+    );
+    if (!rosterGroup) return;
+    setGroups((prev) => [
+      ...prev,
+      createTimerGroupFromRoster(nextGroupId(prev), rosterGroup),
+    ]);
+  };
+
+  const removeGroup = (id) => {
+    setGroups((prev) => prev.filter((g) => g.id !== id));
+  };
+
+  const discardSession = () => {
+    clearTimerSession();
+    setGroups([createTimerGroup(1)]);
+    setRestoredSession(null);
+  };
+
+  // Archives every group that recorded something and clears their history,
+  // keeping names and linked plans for the next session.
+  const finishSession = () => {
+    const session = buildArchivedSession({
+      groups,
+      lapLength,
+      now: getClock().now(),
+    });
+    if (!session) return;
+    archiveSession(session);
+    setGroups((prev) => prev.map(resetGroup));
+    setRestoredSession(null);
+    setArchivedNotice(true);
+  };
+
+  // Idle groups start from one shared timestamp, or staggered in the chosen
+  // order, after the countdown.
+  const startAll = () => {
+    const order = orderedGroups
+      .filter((group) => group.mode === 'idle')
+      .map((group) => group.id);
+    if (!order.length) return;
+    primeAudio();
+    setCountdown(null);
+    setSchedule(
+      createStartSchedule(
+        {
+          order,
+          countdownSeconds: Number(startOptions.countdown) || 0,
+          intervalSeconds:
+            startOptions.mode === 'staggered'
+              ? Number(startOptions.interval) || 0
+              : 0,
+        },
+        getClock().now()
+      )
+    );
+  };
+
+  // Bulk actions share one timestamp so every group is cut at the same
+  // moment.
+  const applyToAll = (action) => {
+    const now = getClock().now();
+    setGroups((prev) => prev.map((group) => action(group, now)));
+  };
+
+  const pauseAll = () => applyToAll(pauseGroup);
+
+  const resumeAll = () => applyToAll(resumeGroup);
+
+  const stopAll = () => {
+    setSchedule(null);
+    applyToAll(stopGroup);
+  };
+
+  const resetAll = () => {
+    if (!window.confirm('Zerar todos os cronômetros e apagar os registros?')) {
+      return;
+    }
+    setSchedule(null);
+    setGroups((prev) => prev.map(resetGroup));
+  };
+
+  const isAnyRunning = groups.some(
+    (group) => group.mode !== 'idle' && !group.pausedAt
+  );
+  const isAnyPaused = groups.some((group) => group.pausedAt);
+  const nextStart = nextScheduledStart(schedule);
+  const needsScreen = isAnyRunning || Boolean(schedule);
+
+  // Keeps the phone from locking while a timer is running or a start is
+  // counting down.
+  useEffect(() => {
+    if (!needsScreen) return undefined;
+    return holdWakeLock();
+  }, [needsScreen]);
+
+  return (
+    <div className="timer-section-wrapper">
+      <div
+        className="section-header-main"
+        style={{
+          justifyContent: 'space-between',
+          flexWrap: 'wrap',
+          gap: '1rem',
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+          <h2>Cronômetros</h2>
+          <button
+            className={`help-toggle ${showHelp ? 'active' : ''}`}
+            onClick={() => setShowHelp(!showHelp)}
+            title="Como usar"
+          >
+            ?
+          </button>
+        </div>
+      </div>
+
+      {restoredSession && (
+        <div
+          className={`session-restored ${restoredSession.isStale ? 'stale' : ''}`}
+        >
+          <p>
+            {restoredSession.isStale
+              ? 'Sessão antiga restaurada'
+              : 'Sessão anterior restaurada'}
+            {restoredSession.savedAt &&
+              ` (última atividade em ${new Date(
+                restoredSession.savedAt
+              ).toLocaleString('pt-BR')})`}
+            .
+          </p>
+          <div className="session-restored-actions">
+            <button
+              type="button"
+              className="settings-toggle ghost"
+              onClick={() => setRestoredSession(null)}
+            >
+              Continuar
+            </button>
+            <button
+              type="button"
+              className="settings-toggle"
+              onClick={discardSession}
+            >
+              Descartar sessão
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div
+        style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '1rem',
+          marginBottom: '1.5rem',
+        }}
+      >
+        {isAnyRunning && (
+          <button onClick={pauseAll} className="settings-toggle">
+            ⏸ Pausar Todos
+          </button>
+        )}
+        {isAnyPaused && (
+          <button onClick={resumeAll} className="settings-toggle">
+            ▶ Retomar Todos
+          </button>
+        )}
+        {(isAnyRunning || isAnyPaused) && (
+          <button onClick={stopAll} className="settings-toggle">
+            ■ Parar Todos
+          </button>
+        )}
+        {hasSessionActivity(groups) && (
+          <button onClick={resetAll} className="settings-toggle ghost">
+            ↺ Zerar Todos
+          </button>
+        )}
+        <button onClick={addGroup} className="settings-toggle">
+          + Novo Grupo
+        </button>
+        {roster.groups.length > 0 && (
+          <select
+            className="roster-timer-select"
+            value=""
+            onChange={addRosterGroup}
+            aria-label="Criar cronômetro a partir de um grupo do elenco"
+          >
+            <option value="">+ Grupo do elenco…</option>
+            {roster.groups.map((group) => (
+              <option key={group.id} value={group.id}>
+                {group.name} ({group.athleteIds.length})
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          onClick={finishSession}
+          className="settings-toggle"
+          disabled={!hasSessionActivity(groups)}
+        >
+          ✓ Finalizar Sessão
+        </button>
+        <button
+          onClick={() => setIsExportOpen((prev) => !prev)}
+          className="settings-toggle"
+          disabled={!hasSessionActivity(groups)}
+        >
+          Exportar Todos
+        </button>
+        <button
+          onClick={() => setIsAnalyticsOpen((prev) => !prev)}
+          className={`settings-toggle ${isAnalyticsOpen ? '' : 'ghost'}`}
+          disabled={!hasSessionActivity(groups)}
+        >
+          Análise
+        </button>
+        <Link href="/historico" className="settings-toggle ghost">
+          Histórico
+        </Link>
+        <Link href="/atletas" className="settings-toggle ghost">
+          Elenco
+        </Link>
+      </div>
+
+      <StartController
+        groups={orderedGroups}
+        options={startOptions}
+        onOptionsChange={setStartOptions}
+        onMove={moveInStartOrder}
+        isScheduled={Boolean(schedule)}
+        countdown={countdown}
+        nextGroupName={
+          groups.find((group) => group.id === nextStart?.groupId)?.name
+        }
+        onStart={startAll}
+        onCancel={() => setSchedule(null)}
+      />
+
+      {isExportOpen && hasSessionActivity(groups) && (
+        <div className="timer-export-all">
+          <span>Exportar todos os grupos:</span>
+          <ExportMenu
+            groups={groups.filter((group) => group.history.length)}
+            lapLength={lapLength}
+            filename="sessao"
+          />
+        </div>
+      )}
+
+      {isAnalyticsOpen && <SessionAnalytics groups={groups} />}
+
+      {archivedNotice && (
+        <div className="session-restored">
+          <p>Sessão arquivada no histórico.</p>
+          <div className="session-restored-actions">
+            <Link href="/historico" className="settings-toggle ghost">
+              Ver histórico
+            </Link>
+            <button
+              type="button"
+              className="settings-toggle"
+              onClick={() => setArchivedNotice(false)}
+            >
+              Fechar
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showHelp && (
+        <div className="timer-help-card">
+          <h4>Como usar os cronômetros:</h4>
+          <ul>
+            <li>
+              <strong>Iniciar (▶):</strong> Começa a contar o tempo de corrida
+              (Azul).
+            </li>
+            <li>
+              <strong>Lap (⏸):</strong> Registra a parcial e muda para descanso
+              (Rosa).
+            </li>
+            <li>
+              <strong>Lap (▶):</strong> Registra o descanso e inicia nova
+              corrida (Azul).
+            </li>
+            <li>
+              <strong>Renomear:</strong> Clique no nome "Grupo X" para editar.
+            </li>
+            <li>
+              <strong>Iniciar Todos:</strong> Larga todos os cronômetros parados
+              juntos ou escalonados, após a contagem regressiva.
+            </li>
+            <li>
+              <strong>Elenco:</strong> Crie um cronômetro a partir de um grupo
+              do elenco para registrar as repetições de cada atleta.
+            </li>
+            <li>
+              <strong>Análise:</strong> Mostra os gráficos e as estatísticas das
+              repetições de cada grupo enquanto a sessão acontece.
+            </li>
+            <li>
+              <strong>Finalizar:</strong> Arquiva todos os grupos no histórico e
+              limpa os cronômetros.
+            </li>
+          </ul>
+        </div>
+      )}
+
+      <div className="timer-grid">
+        {groups.map((group) => (
+          <TimerGroup
+            key={group.id}
+            group={group}
+            lapLength={lapLength}
+            onUpdate={updateGroup}
+            onRemove={removeGroup}
+            plannedReps={plannedReps}
+            athletes={groupAthletes(roster, group)}
+            unitSystem={unitSystem}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TimerManager;
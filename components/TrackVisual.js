@@ -0,0 +1,321 @@
+import { useId } from 'react';
+import {
+  LANE_COUNT,
+  describeRaceLaps,
+  formatTrackMeters,
+  raceStagger,
+  raceStartLabel,
+  raceStartLandmark,
+} from '../lib/track';
+
+const buildRoundedTrackPath = ({ x, y, width, height, rx }) => {
+  const cx = x + width / 2;
+  const right = x + width;
+  const bottom = y + height;
+  const leftCurveStart = x + rx;
+  const leftCurveEnd = x + rx;
+  const rightCurveStart = right - rx;
+  const rightCurveEnd = right - rx;
+  const ry = rx;
+  return `M${cx} ${y} H${leftCurveStart} A${rx} ${ry} 0 0 0 ${leftCurveEnd} ${bottom} H${rightCurveStart} A${rx} ${ry} 0 0 0 ${rightCurveEnd} ${y} H${cx}`;
+};
+
+// The lane lines sit 14 units apart between the outer border (offset 0)
+// and the kerb (offset 112), so lane 1 is the innermost band.
+const LANE_SVG_WIDTH = 14;
+const KERB_OFFSET = 112;
+
+const laneBounds = (lane) => {
+  const offset = KERB_OFFSET - LANE_SVG_WIDTH * lane + LANE_SVG_WIDTH / 2;
+  return {
+    x: 60 + offset,
+    y: 40 + offset,
+    width: 880 - offset * 2,
+    height: 520 - offset * 2,
+    rx: 260 - offset,
+  };
+};
+
+const FINISH_LANDMARK = { segment: 0, fraction: 0 };
+
+// Point on the lane's centre line for a landmark of lib/track (segment 0 is
+// the right-hand bend, run upwards from the finish line at its foot), plus
+// the outward normal there.
+const landmarkPoint = ({ x, y, width, height, rx }, { segment, fraction }) => {
+  const cy = y + height / 2;
+  const leftCx = x + rx;
+  const rightCx = x + width - rx;
+  const straight = width - 2 * rx;
+  const angle = fraction * Math.PI;
+
+  if (segment === 0) {
+    const normal = { x: Math.sin(angle), y: Math.cos(angle) };
+    return {
+      x: rightCx + rx * normal.x,
+      y: cy + rx * normal.y,
+      normal,
+    };
+  }
+  if (segment === 1) {
+    return { x: rightCx - fraction * straight, y, normal: { x: 0, y: -1 } };
+  }
+  if (segment === 2) {
+    const normal = { x: -Math.sin(angle), y: -Math.cos(angle) };
+    return {
+      x: leftCx + rx * normal.x,
+      y: cy + rx * normal.y,
+      normal,
+    };
+  }
+  return {
+    x: leftCx + fraction * straight,
+    y: y + height,
+    normal: { x: 0, y: 1 },
+  };
+};
+
+// Same landmark as a fraction of buildRoundedTrackPath, which starts at the
+// middle of the top straight and runs anticlockwise.
+const landmarkPathFraction = ({ width, rx }, { segment, fraction }) => {
+  const straight = width - 2 * rx;
+  const bend = Math.PI * rx;
+  const total = 2 * straight + 2 * bend;
+  const offsets = [
+    straight / 2 + bend + straight + fraction * bend,
+    (fraction - 0.5) * straight + total,
+    straight / 2 + fraction * bend,
+    straight / 2 + bend + fraction * straight,
+  ];
+  return (offsets[segment] % total) / total;
+};
+
+// A line across `lane` at the landmark, or across `fromLane`..`toLane`.
+const crossLine = (landmark, fromLane, toLane = fromLane) => {
+  const inner = landmarkPoint(laneBounds(fromLane), landmark);
+  const outer = landmarkPoint(laneBounds(toLane), landmark);
+  const half = LANE_SVG_WIDTH / 2;
+  return {
+    x1: inner.x - inner.normal.x * half,
+    y1: inner.y - inner.normal.y * half,
+    x2: outer.x + outer.normal.x * half,
+    y2: outer.y + outer.normal.y * half,
+  };
+};
+
+const lanes = Array.from({ length: LANE_COUNT }, (_, index) => index + 1);
+
+// The waterfall start is a curve, so it is drawn through every lane.
+const waterfallPath = (landmark) =>
+  lanes
+    .map((lane, index) => {
+      const { x1, y1, x2, y2 } = crossLine(landmark, lane);
+      return `${index ? 'L' : 'M'}${x1} ${y1} L${x2} ${y2}`;
+    })
+    .join(' ');
+
+const TrackVisual = ({
+  lapData,
+  lapLength,
+  lane = 1,
+  raceEvent = null,
+  unitSystem = 'metric',
+}) => {
+  const runnerBounds = laneBounds(lane);
+  const progressPath = buildRoundedTrackPath(runnerBounds);
+  const startLandmark = raceEvent
+    ? raceStartLandmark(raceEvent, lapLength, lane)
+    : null;
+  const stagger = raceEvent ? raceStagger(raceEvent, lapLength, lane) : 0;
+  const lapProgress =
+    lapData && lapData.progress === 0 && lapData.lapCount > 0
+      ? 1
+      : (lapData?.progress ?? 0);
+
+  // Races are drawn from their start line to the finish; free distances
+  // keep starting at the top of the track.
+  let progressStart = 0;
+  let progress = lapProgress;
+  if (startLandmark) {
+    progressStart = landmarkPathFraction(runnerBounds, startLandmark);
+    const finish = landmarkPathFraction(runnerBounds, FINISH_LANDMARK);
+    progress = (finish - progressStart + 1) % 1 || 1;
+  }
+  const lapLayers = lapData ? Math.min(lapData.fullLaps, 6) : 0;
+  const maskId = `trackMask-${useId().replace(/:/g, '')}`;
+
+  return (
+    <div className="track-visual">
+      <svg
+        viewBox="0 0 1000 600"
+        preserveAspectRatio="xMidYMid meet"
+        role="img"
+        aria-label="Visual da pista de atletismo"
+      >
+        <defs>
+          <mask id={maskId}>
+            <rect width="1000" height="600" fill="white" />
+            <rect
+              x="172"
+              y="152"
+              width="656"
+              height="296"
+              rx="148"
+              fill="black"
+            />
+          </mask>
+        </defs>
+        <rect
+          x="120"
+          y="90"
+          width="760"
+          height="420"
+          rx="190"
+          className="track-grass"
+        />
+        <g mask={`url(#${maskId})`}>
+          <rect
+            x="60"
+            y="40"
+            width="880"
+            height="520"
+            rx="260"
+            className="track-fill"
+          />
+        </g>
+        <rect
+          x="60"
+          y="40"
+          width="880"
+          height="520"
+          rx="260"
+          className="track-border"
+        />
+        <rect
+          x="172"
+          y="152"
+          width="656"
+          height="296"
+          rx="148"
+          className="track-border"
+        />
+        <g className="track-lane-group">
+          {[0, 14, 28, 42, 56, 70, 84].map((offset) => (
+            <rect
+              key={`lane-${offset}`}
+              x={74 + offset}
+              y={54 + offset}
+              width={852 - offset * 2}
+              height={492 - offset * 2}
+              rx={246 - offset}
+              className="track-lane-line"
+            />
+          ))}
+        </g>
+        <rect
+          x={runnerBounds.x}
+          y={runnerBounds.y}
+          width={runnerBounds.width}
+          height={runnerBounds.height}
+          rx={runnerBounds.rx}
+          className="track-lane-active"
+          style={{ strokeWidth: LANE_SVG_WIDTH }}
+        />
+        {Array.from({ length: lapLayers }).map((_, index) => (
+          <path
+            key={`lap-layer-${index}`}
+            pathLength="1"
+            className="track-complete"
+            d={progressPath}
+            style={{ opacity: Math.max(0.2, 0.65 - index * 0.1) }}
+          />
+        ))}
+        {progress > 0 && (
+          <path
+            key={`${raceEvent?.id ?? 'free'}-${lane}-${progress}`}
+            pathLength="1"
+            className={`track-progress ${raceEvent ? 'animated' : ''}`}
+            d={progressPath}
+            style={{
+              strokeDasharray: `${progress} ${1 - progress}`,
+              strokeDashoffset: -progressStart,
+            }}
+          />
+        )}
+        {raceEvent && (
+          <g className="track-start-markers">
+            <line
+              {...crossLine(FINISH_LANDMARK, 1, LANE_COUNT)}
+              className="track-finish-line"
+            />
+            {raceEvent.start === 'waterfall' ? (
+              <path
+                d={waterfallPath(startLandmark)}
+                className="track-start-line"
+              />
+            ) : (
+              lanes.map((markerLane) => (
+                <line
+                  key={`start-${markerLane}`}
+                  {...crossLine(
+                    raceStartLandmark(raceEvent, lapLength, markerLane),
+                    markerLane
+                  )}
+                  className={`track-start-line ${
+                    markerLane === lane ? 'active' : ''
+                  }`}
+                />
+              ))
+            )}
+          </g>
+        )}
+      </svg>
+      <div className="track-details">
+        {raceEvent ? (
+          <>
+            <p className="track-count">
+              <strong>
+                {describeRaceLaps(raceEvent, lapLength, unitSystem)}
+              </strong>
+            </p>
+            <p className="track-extra">
+              {raceStartLabel(raceEvent)}
+              {stagger > 0 &&
+                ` · raia ${lane} larga ${formatTrackMeters(
+                  stagger,
+                  unitSystem
+                )} à frente da raia 1`}
+            </p>
+          </>
+        ) : lapData ? (
+          <>
+            <p className="track-count">
+              <strong>{lapData.lapCount.toFixed(2)}</strong> voltas no total
+            </p>
+            <p className="track-extra">
+              {lapData.fullLaps} voltas completas e{' '}
+              {formatTrackMeters(lapData.remainderMeters, unitSystem)} restantes
+            </p>
+          </>
+        ) : (
+          <p className="track-placeholder">
+            Informe uma distância para ver quantas voltas ela representa.
+          </p>
+        )}
+      </div>
+      {lapData?.fullLaps > 0 && (
+        <div className="lap-markers">
+          {Array.from({
+            length: Math.min(lapData.fullLaps, 8),
+          }).map((_, index) => (
+            <span key={`lap-marker-${index}`}>{index + 1}</span>
+          ))}
+          {lapData.fullLaps > 8 && (
+            <span className="lap-marker-extra">+{lapData.fullLaps - 8}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrackVisual;
@@ -0,0 +1,113 @@
+import { useMemo, useState } from 'react';
+import {
+  formatDuration,
+  parseDistanceInput,
+  parseDurationInput,
+} from '../lib/pace';
+import { formatTrackMeters } from '../lib/track';
+import {
+  computeTrainingZones,
+  formatZonePace,
+  zoneLapRange,
+} from '../lib/zones';
+
+const TrainingZones = ({
+  lapLength,
+  calculatorEffort,
+  unitSystem = 'metric',
+}) => {
+  const [distance, setDistance] = useState('');
+  const [time, setTime] = useState('');
+
+  const distanceMeters = parseDistanceInput(distance);
+  const timeSeconds = parseDurationInput(time);
+
+  const zones = useMemo(
+    () =>
+      distanceMeters && timeSeconds
+        ? computeTrainingZones({ distanceMeters, timeSeconds })
+        : [],
+    [distanceMeters, timeSeconds]
+  );
+
+  const canUseCalculator = Boolean(
+    calculatorEffort?.distanceMeters && calculatorEffort?.timeSeconds
+  );
+
+  const handleUseCalculator = () => {
+    setDistance(String(Math.round(calculatorEffort.distanceMeters)));
+    setTime(formatDuration(calculatorEffort.timeSeconds));
+  };
+
+  return (
+    <article className="card compact zones">
+      <div className="card-header">
+        <h2>Zonas de treino</h2>
+        <p>
+          Use uma prova ou tomada de tempo recente para obter o ritmo de cada
+          zona.
+        </p>
+      </div>
+
+      <div className="form-grid">
+        <label>
+          <span>
+            Distância <span className="unit">(m)</span>
+          </span>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            placeholder="5000"
+            value={distance}
+            onChange={(event) => setDistance(event.target.value)}
+          />
+        </label>
+        <label>
+          <span>
+            Tempo <span className="unit">(hh:mm:ss)</span>
+          </span>
+          <input
+            type="text"
+            placeholder="19:30"
+            value={time}
+            onChange={(event) => setTime(event.target.value)}
+          />
+        </label>
+        <div className="zones-actions">
+          <button
+            type="button"
+            className="settings-toggle ghost"
+            disabled={!canUseCalculator}
+            onClick={handleUseCalculator}
+          >
+            Usar valores da calculadora
+          </button>
+        </div>
+      </div>
+
+      {zones.length ? (
+        <ul className="zones-table">
+          {zones.map((zone) => (
+            <li key={zone.id} className={`zone-${zone.id}`}>
+              <span className="zone-label">{zone.label}</span>
+              <span className="zone-pace">
+                {formatZonePace(zone, unitSystem)}
+              </span>
+              <span className="zone-lap">
+                {zoneLapRange(zone, lapLength)} por{' '}
+                {formatTrackMeters(lapLength, unitSystem)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="track-placeholder">
+          Informe a distância e o tempo de referência para calcular as zonas.
+        </p>
+      )}
+    </article>
+  );
+};
+
+export default TrainingZones;
@@ -0,0 +1,315 @@
+import { useMemo, useState } from 'react';
+import {
+  computeLapData,
+  computeLapSplits,
+  formatDuration,
+  formatPace,
+} from '../lib/pace';
+import { PACE_UNITS, REP_DISTANCE_UNIT, formatDistance } from '../lib/units';
+import {
+  createWorkoutBlock,
+  describeBlock,
+  expandWorkout,
+  summarizeWorkout,
+} from '../lib/workout';
+import LapSplits from './LapSplits';
+import TrackVisual from './TrackVisual';
+
+const PACE_PLACEHOLDER = { metric: '03:30', imperial: '05:40' };
+
+const WorkoutBlockEditor = ({
+  block,
+  index,
+  onChange,
+  onRemove,
+  canRemove,
+  unitSystem,
+}) => {
+  const paceUnit = PACE_UNITS[unitSystem].label;
+  const update = (field) => (event) =>
+    onChange({ ...block, [field]: event.target.value });
+
+  return (
+    <div className="workout-block">
+      <div className="workout-block-header">
+        <h3>
+          Bloco {index + 1}
+          {describeBlock(block, unitSystem) && (
+            <span className="workout-block-summary">
+              {describeBlock(block, unitSystem)}
+            </span>
+          )}
+        </h3>
+        {canRemove && (
+          <button
+            type="button"
+            className="timer-remove"
+            onClick={onRemove}
+            aria-label="Remover bloco"
+            title="Remover"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+      <div className="form-grid workout-grid">
+        <label>
+          <span>Séries</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={block.sets}
+            onChange={update('sets')}
+          />
+        </label>
+        <label>
+          <span>Repetições</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={block.reps}
+            onChange={update('reps')}
+          />
+        </label>
+        <label>
+          <span>
+            Distância{' '}
+            <span className="unit">({REP_DISTANCE_UNIT[unitSystem]})</span>
+          </span>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={block.distance}
+            onChange={update('distance')}
+          />
+        </label>
+        <label>
+          <span>Alvo por</span>
+          <select value={block.targetType} onChange={update('targetType')}>
+            <option value="time">Tempo da repetição</option>
+            <option value="pace">Pace (min/{paceUnit})</option>
+          </select>
+        </label>
+        <label>
+          <span>
+            Alvo{' '}
+            <span className="unit">
+              {block.targetType === 'pace'
+                ? `(mm:ss / ${paceUnit})`
+                : '(mm:ss)'}
+            </span>
+          </span>
+          <input
+            type="text"
+            placeholder={
+              block.targetType === 'pace'
+                ? PACE_PLACEHOLDER[unitSystem]
+                : '01:25'
+            }
+            value={block.target}
+            onChange={update('target')}
+          />
+        </label>
+        <label>
+          <span>
+            Descanso <span className="unit">(s ou mm:ss)</span>
+          </span>
+          <input
+            type="text"
+            placeholder="90"
+            value={block.rest}
+            onChange={update('rest')}
+          />
+        </label>
+        <label>
+          <span>
+            Entre séries <span className="unit">(opcional)</span>
+          </span>
+          <input
+            type="text"
+            placeholder="3:00"
+            value={block.setRest}
+            onChange={update('setRest')}
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+const WorkoutBuilder = ({
+  blocks,
+  onChange,
+  lapLength,
+  lane,
+  unitSystem = 'metric',
+}) => {
+  const [selectedRepId, setSelectedRepId] = useState(null);
+
+  const reps = useMemo(
+    () => expandWorkout(blocks, unitSystem),
+    [blocks, unitSystem]
+  );
+  const summary = useMemo(() => summarizeWorkout(reps), [reps]);
+
+  const selectedRep =
+    reps.find((rep) => rep.id === selectedRepId) ?? reps[0] ?? null;
+
+  const selectedLapData = useMemo(
+    () =>
+      selectedRep
+        ? computeLapData(selectedRep.distanceMeters, lapLength)
+        : null,
+    [selectedRep, lapLength]
+  );
+
+  const selectedSplits = useMemo(
+    () =>
+      selectedRep
+        ? computeLapSplits({
+            distanceMeters: selectedRep.distanceMeters,
+            lapLength,
+            timeSeconds: selectedRep.timeSeconds,
+            paceSeconds: selectedRep.paceSeconds,
+          })
+        : [],
+    [selectedRep, lapLength]
+  );
+
+  const updateBlock = (nextBlock) => {
+    onChange(
+      blocks.map((block) => (block.id === nextBlock.id ? nextBlock : block))
+    );
+  };
+
+  const removeBlock = (id) => {
+    onChange(blocks.filter((block) => block.id !== id));
+  };
+
+  const addBlock = () => {
+    onChange([...blocks, createWorkoutBlock({ reps: '4', distance: '200' })]);
+  };
+
+  return (
+    <section className="dashboard">
+      <article className="card compact">
+        <div className="card-header">
+          <h2>Montar treino</h2>
+          <p>Defina séries, repetições, alvo e descanso de cada bloco.</p>
+        </div>
+
+        {blocks.map((block, index) => (
+          <WorkoutBlockEditor
+            key={block.id}
+            block={block}
+            index={index}
+            onChange={updateBlock}
+            onRemove={() => removeBlock(block.id)}
+            canRemove={blocks.length > 1}
+            unitSystem={unitSystem}
+          />
+        ))}
+
+        <button type="button" className="settings-toggle" onClick={addBlock}>
+          + Novo Bloco
+        </button>
+      </article>
+
+      <article className="card compact">
+        <div className="card-header">
+          <h2>Resumo da sessão</h2>
+        </div>
+
+        <div className="results-grid">
+          <div className="result-tile">
+            <p className="result-label">Volume total</p>
+            <p className="result-value">
+              {summary.repCount
+                ? formatDistance(summary.totalMeters, unitSystem)
+                : '—'}
+            </p>
+            <p className="result-detail">{summary.repCount} repetições</p>
+          </div>
+          <div className="result-tile">
+            <p className="result-label">Tempo total</p>
+            <p className="result-value">
+              {formatDuration(summary.totalSeconds) ?? '—'}
+            </p>
+            <p className="result-detail">Corrida + descanso</p>
+          </div>
+          <div className="result-tile">
+            <p className="result-label">Correndo</p>
+            <p className="result-value">
+              {formatDuration(summary.workSeconds) ?? '—'}
+            </p>
+            <p className="result-detail">
+              Descanso: {formatDuration(summary.restSeconds) ?? '—'}
+            </p>
+          </div>
+        </div>
+
+        {reps.length > 0 && (
+          <div className="workout-reps">
+            <h3>Repetições</h3>
+            <ul>
+              {reps.map((rep, index) => (
+                <li key={rep.id}>
+                  <button
+                    type="button"
+                    className={`workout-rep ${
+                      rep.id === selectedRep?.id ? 'active' : ''
+                    }`}
+                    onClick={() => setSelectedRepId(rep.id)}
+                  >
+                    <span className="workout-rep-idx">{index + 1}</span>
+                    <span>
+                      {formatDistance(rep.distanceMeters, unitSystem)}
+                    </span>
+                    <span>{formatDuration(rep.timeSeconds) ?? '—'}</span>
+                    <span className="workout-rep-pace">
+                      {formatPace(rep.paceSeconds, unitSystem) ?? '—'}
+                    </span>
+                    <span className="workout-rep-rest">
+                      {rep.restSeconds
+                        ? `descanso ${formatDuration(rep.restSeconds)}`
+                        : 'fim'}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </article>
+
+      {selectedRep && (
+        <article className="card track">
+          <div className="card-header">
+            <h2>Repetição selecionada</h2>
+            <p>
+              Bloco {selectedRep.blockIndex + 1}, série {selectedRep.set},
+              repetição {selectedRep.rep} —{' '}
+              {formatDistance(selectedRep.distanceMeters, unitSystem)}
+            </p>
+          </div>
+          <TrackVisual
+            lapData={selectedLapData}
+            lapLength={lapLength}
+            lane={lane}
+            unitSystem={unitSystem}
+          />
+          <LapSplits
+            splits={selectedSplits}
+            lapLength={lapLength}
+            unitSystem={unitSystem}
+          />
+        </article>
+      )}
+    </section>
+  );
+};
+
+export default WorkoutBuilder;
@@ -0,0 +1,72 @@
+import { pairHistory } from './timers';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const average = (values) =>
+  values.length ? sum(values) / values.length : null;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return null;
+  const mean = average(values);
+  return Math.sqrt(average(values.map((value) => (value - mean) ** 2)));
+};
+
+// Least-squares slope of rep time over rep number: how many ms each rep
+// adds (a fade) or takes off.
+const trendPerRep = (values) => {
+  if (values.length < 3) return null;
+  const meanX = (values.length + 1) / 2;
+  const meanY = average(values);
+  let covariance = 0;
+  let variance = 0;
+  values.forEach((value, index) => {
+    const dx = index + 1 - meanX;
+    covariance += dx * (value - meanY);
+    variance += dx * dx;
+  });
+  return covariance / variance;
+};
+
+// Rep-by-rep figures for one timer group, or null when it has no runs.
+// `restMs` is the rest taken after that rep, null after the last one.
+export const groupAnalytics = (group) => {
+  const reps = pairHistory(group.history)
+    .filter((row) => row.run)
+    .map((row, index) => ({
+      rep: index + 1,
+      runMs: row.run.duration,
+      restMs: row.rest?.duration ?? null,
+    }));
+  if (!reps.length) return null;
+
+  const runs = reps.map((rep) => rep.runMs);
+  const rests = reps
+    .map((rep) => rep.restMs)
+    .filter((restMs) => restMs !== null);
+  const totalRunMs = sum(runs);
+  const totalRestMs = sum(rests);
+
+  return {
+    id: group.id,
+    name: group.name,
+    reps,
+    meanMs: average(runs),
+    stdDevMs: standardDeviation(runs),
+    meanRestMs: average(rests),
+    fastest: reps.reduce((best, rep) => (rep.runMs < best.runMs ? rep : best)),
+    slowest: reps.reduce((worst, rep) =>
+      rep.runMs > worst.runMs ? rep : worst
+    ),
+    totalRunMs,
+    totalRestMs,
+    workRestRatio: totalRestMs ? totalRunMs / totalRestMs : null,
+    trendMsPerRep: trendPerRep(runs),
+  };
+};
+
+export const sessionAnalytics = (groups) =>
+  groups.map(groupAnalytics).filter(Boolean);
+
+// Work to rest as "1:0.75": seconds of rest per second of running.
+export const formatWorkRestRatio = (ratio) =>
+  ratio ? `1:${(1 / ratio).toFixed(2)}` : '—';
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatWorkRestRatio,
+  groupAnalytics,
+  sessionAnalytics,
+} from './analytics';
+import { createTimerGroup, lapGroup, startGroup, stopGroup } from './timers';
+
+const T0 = 1_700_000_000_000;
+
+// Runs of 60, 62 and 64 s with 90 s rests, stopped after the last run.
+const fading = () => {
+  const laps = [60_000, 150_000, 212_000, 302_000].reduce(
+    (group, at) => lapGroup(group, T0 + at),
+    startGroup(createTimerGroup(1), T0)
+  );
+  return stopGroup(laps, T0 + 366_000);
+};
+
+describe('groupAnalytics', () => {
+  it('pairs each rep with the rest after it', () => {
+    expect(groupAnalytics(fading()).reps).toEqual([
+      { rep: 1, runMs: 60_000, restMs: 90_000 },
+      { rep: 2, runMs: 62_000, restMs: 90_000 },
+      { rep: 3, runMs: 64_000, restMs: null },
+    ]);
+  });
+
+  it('sums up the session', () => {
+    const stats = groupAnalytics(fading());
+    expect(stats.meanMs).toBe(62_000);
+    expect(stats.stdDevMs).toBeCloseTo(1633, 0);
+    expect(stats.meanRestMs).toBe(90_000);
+    expect(stats.fastest.rep).toBe(1);
+    expect(stats.slowest.rep).toBe(3);
+    expect(stats.totalRunMs).toBe(186_000);
+    expect(stats.totalRestMs).toBe(180_000);
+  });
+
+  it('measures the fade per rep', () => {
+    expect(groupAnalytics(fading()).trendMsPerRep).toBeCloseTo(2000, 6);
+  });
+
+  it('needs three reps for a trend and one for anything', () => {
+    const short = lapGroup(startGroup(createTimerGroup(2), T0), T0 + 60_000);
+    expect(groupAnalytics(short).trendMsPerRep).toBeNull();
+    expect(groupAnalytics(short).stdDevMs).toBeNull();
+    expect(groupAnalytics(createTimerGroup(3))).toBeNull();
+  });
+});
+
+describe('sessionAnalytics', () => {
+  it('leaves out groups without runs', () => {
+    const stats = sessionAnalytics([createTimerGroup(2), fading()]);
+    expect(stats.map((group) => group.id)).toEqual([1]);
+  });
+});
+
+describe('formatWorkRestRatio', () => {
+  it('gives seconds of rest per second of running', () => {
+    expect(formatWorkRestRatio(groupAnalytics(fading()).workRestRatio)).toBe(
+      '1:0.97'
+    );
+    expect(formatWorkRestRatio(null)).toBe('—');
+  });
+});
@@ -0,0 +1,74 @@
+// Beeps are synthesised with Web Audio instead of loading sound files, so
+// they work offline and start without any network delay.
+let audioContext = null;
+
+const getAudioContext = () => {
+  if (typeof window === 'undefined') return null;
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+  if (!audioContext) audioContext = new AudioContext();
+  return audioContext;
+};
+
+// Browsers only let audio start from a user gesture; call this from the
+// click that starts a timer so later automatic cues can play.
+export const primeAudio = () => {
+  const context = getAudioContext();
+  if (context?.state === 'suspended') context.resume().catch(() => {});
+};
+
+const beep = (context, { frequency, duration, delay = 0 }) => {
+  const start = context.currentTime + delay;
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.type = 'sine';
+  oscillator.frequency.value = frequency;
+  // Short ramps avoid the click of a hard start/stop.
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(0.4, start + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start(start);
+  oscillator.stop(start + duration + 0.02);
+};
+
+const vibrate = (pattern) => {
+  if (typeof navigator !== 'undefined' && navigator.vibrate) {
+    navigator.vibrate(pattern);
+  }
+};
+
+const CUES = {
+  countdown: { beeps: [{ frequency: 660, duration: 0.12 }], vibration: 80 },
+  run: { beeps: [{ frequency: 990, duration: 0.45 }], vibration: 400 },
+  rest: {
+    beeps: [{ frequency: 520, duration: 0.45 }],
+    vibration: [200, 100, 200],
+  },
+  limit: {
+    beeps: [
+      { frequency: 440, duration: 0.25 },
+      { frequency: 440, duration: 0.25, delay: 0.35 },
+    ],
+    vibration: [250, 150, 250],
+  },
+  finish: {
+    beeps: [
+      { frequency: 880, duration: 0.2 },
+      { frequency: 880, duration: 0.2, delay: 0.3 },
+      { frequency: 1320, duration: 0.5, delay: 0.6 },
+    ],
+    vibration: [300, 100, 300, 100, 600],
+  },
+};
+
+// 'countdown' for the 3-2-1 ticks, 'run' and 'rest' when a phase starts,
+// 'limit' when a target or max rest is passed and 'finish' after the last
+// rep.
+export const playCue = (name) => {
+  const cue = CUES[name];
+  if (!cue) return;
+  const context = getAudioContext();
+  if (context) cue.beeps.forEach((options) => beep(context, options));
+  vibrate(cue.vibration);
+};
@@ -0,0 +1,70 @@
+import { DEFAULT_LAP_METERS, PACING_STRATEGIES } from './pace';
+import { LANE_COUNT } from './track';
+import { DEFAULT_DISTANCE_UNIT, DISTANCE_UNITS, UNIT_SYSTEMS } from './units';
+
+// Calculator inputs as they appear in the URL. Values are kept exactly as
+// typed so a shared link reproduces the form, not a rounded copy of it.
+// Defaults are left out to keep links short.
+export const serializeCalculatorState = ({
+  unitSystem,
+  distance,
+  distanceUnit,
+  time,
+  pace,
+  speed,
+  lapLength,
+  lane,
+  pacingInput,
+}) => {
+  const query = {
+    sistema: unitSystem !== 'metric' ? unitSystem : '',
+    distancia: distance.trim(),
+    unidade:
+      distance.trim() && distanceUnit !== DEFAULT_DISTANCE_UNIT[unitSystem]
+        ? distanceUnit
+        : '',
+    tempo: time.trim(),
+    pace: pace.trim(),
+    velocidade: speed.trim(),
+    volta: lapLength !== DEFAULT_LAP_METERS ? String(lapLength) : '',
+    raia: lane > 1 ? String(lane) : '',
+    estrategia: pacingInput.type !== 'even' ? pacingInput.type : '',
+    ajuste: pacingInput.type !== 'even' ? pacingInput.value.trim() : '',
+  };
+  return Object.fromEntries(Object.entries(query).filter(([, value]) => value));
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value) ?? '';
+
+// Reads a router query back into calculator state. Anything missing or
+// invalid falls back to its default, so every URL yields a full state.
+export const parseCalculatorQuery = (query) => {
+  const unitSystem = UNIT_SYSTEMS[first(query.sistema)]
+    ? first(query.sistema)
+    : 'metric';
+  const distanceUnit = DISTANCE_UNITS[first(query.unidade)]
+    ? first(query.unidade)
+    : DEFAULT_DISTANCE_UNIT[unitSystem];
+  const lapLength = Number(first(query.volta));
+  const lane = Number.parseInt(first(query.raia), 10);
+  const strategy = first(query.estrategia);
+
+  return {
+    unitSystem,
+    distance: first(query.distancia),
+    distanceUnit,
+    time: first(query.tempo),
+    pace: first(query.pace),
+    speed: first(query.velocidade),
+    lapLength: lapLength > 0 ? lapLength : DEFAULT_LAP_METERS,
+    lane: lane >= 1 && lane <= LANE_COUNT ? lane : 1,
+    pacingInput: PACING_STRATEGIES[strategy]
+      ? { type: strategy, value: first(query.ajuste) }
+      : { type: 'even', value: '' },
+  };
+};
+
+export const isSameQuery = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => first(a[key]) === first(b[key]));
+};
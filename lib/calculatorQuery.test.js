@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  isSameQuery,
+  parseCalculatorQuery,
+  serializeCalculatorState,
+} from './calculatorQuery';
+
+const defaults = {
+  unitSystem: 'metric',
+  distance: '',
+  distanceUnit: 'm',
+  time: '',
+  pace: '',
+  speed: '',
+  lapLength: 400,
+  lane: 1,
+  pacingInput: { type: 'even', value: '' },
+};
+
+describe('calculator query', () => {
+  it('leaves defaults out of the URL', () => {
+    expect(serializeCalculatorState(defaults)).toEqual({});
+    expect(parseCalculatorQuery({})).toEqual(defaults);
+  });
+
+  it('reproduces the form from a shared link', () => {
+    const state = {
+      unitSystem: 'imperial',
+      distance: '3.1',
+      distanceUnit: 'km',
+      time: '18:30',
+      pace: '',
+      speed: '',
+      lapLength: 200,
+      lane: 3,
+      pacingInput: { type: 'negative', value: '10' },
+    };
+    const query = serializeCalculatorState(state);
+    expect(query).toEqual({
+      sistema: 'imperial',
+      distancia: '3.1',
+      unidade: 'km',
+      tempo: '18:30',
+      volta: '200',
+      raia: '3',
+      estrategia: 'negative',
+      ajuste: '10',
+    });
+    expect(parseCalculatorQuery(query)).toEqual(state);
+  });
+
+  it('keeps values exactly as typed', () => {
+    const query = serializeCalculatorState({
+      ...defaults,
+      distance: ' 5000 ',
+      pace: '4:05',
+    });
+    expect(query).toEqual({ distancia: '5000', pace: '4:05' });
+    expect(parseCalculatorQuery(query).pace).toBe('4:05');
+  });
+
+  it('falls back to defaults for invalid values', () => {
+    expect(
+      parseCalculatorQuery({
+        sistema: 'nautical',
+        unidade: 'furlong',
+        volta: '-400',
+        raia: '9',
+        estrategia: 'sprint',
+        ajuste: '5',
+      })
+    ).toEqual(defaults);
+  });
+
+  it('reads the first of repeated parameters', () => {
+    expect(parseCalculatorQuery({ tempo: ['20:00', '21:00'] }).time).toBe(
+      '20:00'
+    );
+  });
+});
+
+describe('isSameQuery', () => {
+  it('compares values regardless of key order or arrays', () => {
+    expect(isSameQuery({ a: '1', b: '2' }, { b: ['2'], a: '1' })).toBe(true);
+    expect(isSameQuery({ a: '1' }, { a: '1', b: '2' })).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+// Monotonic timestamps in whole milliseconds for the interval timers.
+// Readings come from a monotonic source (performance.now in the browser)
+// anchored once to the wall clock, so they stay comparable with saved
+// timestamps but ignore later wall-clock changes. Because every reading is
+// an integer, a recorded duration is the exact difference of two readings.
+//
+// All sources are injected so the clock can be driven by a fake one.
+const SUSPEND_THRESHOLD_MS = 1000;
+
+export const createClock = ({ monotonic, wall, requestFrame, cancelFrame }) => {
+  let offset = wall() - monotonic();
+  let frame = null;
+  const listeners = new Set();
+
+  const now = () => Math.round(monotonic() + offset);
+
+  const notify = () => {
+    const time = now();
+    listeners.forEach((listener) => listener(time));
+  };
+
+  const schedule = () => {
+    if (frame === null && listeners.size > 0) frame = requestFrame(tick);
+  };
+
+  const tick = () => {
+    frame = null;
+    notify();
+    schedule();
+  };
+
+  // Listeners get the current time right away and then once per frame, all
+  // from the same callback so React batches their updates.
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    listener(now());
+    schedule();
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0 && frame !== null) {
+        cancelFrame(frame);
+        frame = null;
+      }
+    };
+  };
+
+  // Some devices pause the monotonic source while asleep. When the wall
+  // clock has moved ahead by more than that allows, catch up with it; a
+  // wall clock set backwards is still ignored.
+  const resync = () => {
+    const behindMs = wall() - now();
+    if (behindMs > SUSPEND_THRESHOLD_MS) offset += behindMs;
+    notify();
+  };
+
+  return { now, subscribe, resync };
+};
+
+let sharedClock = null;
+
+const createBrowserClock = () => {
+  const hasWindow = typeof window !== 'undefined';
+  const hasFrames = hasWindow && Boolean(window.requestAnimationFrame);
+  const clock = createClock({
+    monotonic:
+      typeof performance !== 'undefined'
+        ? () => performance.now()
+        : () => Date.now(),
+    wall: () => Date.now(),
+    requestFrame: hasFrames
+      ? (callback) => window.requestAnimationFrame(callback)
+      : (callback) => setTimeout(callback, 16),
+    cancelFrame: hasFrames
+      ? (id) => window.cancelAnimationFrame(id)
+      : (id) => clearTimeout(id),
+  });
+  // Frames stop in a background tab; refresh as soon as it is visible.
+  if (hasWindow) {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') clock.resync();
+    });
+  }
+  return clock;
+};
+
+// The clock every timer group subscribes to, created on first use.
+export const getClock = () => {
+  if (!sharedClock) sharedClock = createBrowserClock();
+  return sharedClock;
+};
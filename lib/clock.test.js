@@ -0,0 +1,113 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createClock } from './clock';
+
+// A clock whose sources are plain numbers and whose frames run on demand.
+const createFakeClock = ({ monotonic = 0, wall = 1_700_000_000_000 } = {}) => {
+  const sources = { monotonic, wall };
+  const frames = new Map();
+  let nextFrame = 1;
+  const cancelFrame = vi.fn((id) => frames.delete(id));
+  const clock = createClock({
+    monotonic: () => sources.monotonic,
+    wall: () => sources.wall,
+    requestFrame: (callback) => {
+      frames.set(nextFrame, callback);
+      return nextFrame++;
+    },
+    cancelFrame,
+  });
+  const advance = (ms) => {
+    sources.monotonic += ms;
+    sources.wall += ms;
+  };
+  const runFrame = () => {
+    const pending = [...frames.entries()];
+    frames.clear();
+    pending.forEach(([, callback]) => callback());
+  };
+  return { clock, sources, frames, cancelFrame, advance, runFrame };
+};
+
+describe('createClock', () => {
+  it('anchors the monotonic source to the wall clock', () => {
+    const { clock, advance } = createFakeClock({ monotonic: 500 });
+    expect(clock.now()).toBe(1_700_000_000_000);
+    advance(1234);
+    expect(clock.now()).toBe(1_700_000_001_234);
+  });
+
+  it('reads whole milliseconds', () => {
+    const { clock, sources } = createFakeClock({ monotonic: 10.3 });
+    sources.monotonic += 250.4;
+    expect(clock.now()).toBe(1_700_000_000_250);
+    sources.monotonic += 0.2;
+    expect(clock.now()).toBe(1_700_000_000_251);
+    expect(Number.isInteger(clock.now())).toBe(true);
+  });
+
+  it('ignores a wall clock set backwards', () => {
+    const { clock, sources, advance } = createFakeClock();
+    advance(2000);
+    sources.wall -= 60 * 60 * 1000;
+    clock.resync();
+    expect(clock.now()).toBe(1_700_000_002_000);
+  });
+
+  it('ignores small drift between the two sources', () => {
+    const { clock, sources } = createFakeClock();
+    sources.wall += 800;
+    clock.resync();
+    expect(clock.now()).toBe(1_700_000_000_000);
+  });
+
+  it('catches up after a suspend longer than a second', () => {
+    const { clock, sources, advance } = createFakeClock();
+    advance(1000);
+    // The monotonic source stood still while the device slept.
+    sources.wall += 30_000;
+    const listener = vi.fn();
+    clock.subscribe(listener);
+    clock.resync();
+    expect(clock.now()).toBe(1_700_000_031_000);
+    expect(listener).toHaveBeenLastCalledWith(1_700_000_031_000);
+  });
+
+  it('notifies listeners right away and once per frame', () => {
+    const { clock, advance, runFrame } = createFakeClock();
+    const first = vi.fn();
+    const second = vi.fn();
+    clock.subscribe(first);
+    clock.subscribe(second);
+    expect(first).toHaveBeenCalledWith(1_700_000_000_000);
+
+    advance(16);
+    runFrame();
+    expect(first).toHaveBeenLastCalledWith(1_700_000_000_016);
+    expect(second).toHaveBeenLastCalledWith(1_700_000_000_016);
+    expect(first).toHaveBeenCalledTimes(2);
+  });
+
+  it('cancels the pending frame when the last listener leaves', () => {
+    const { clock, frames, cancelFrame } = createFakeClock();
+    const unsubscribeFirst = clock.subscribe(() => {});
+    const unsubscribeSecond = clock.subscribe(() => {});
+    expect(frames.size).toBe(1);
+
+    unsubscribeFirst();
+    expect(cancelFrame).not.toHaveBeenCalled();
+    unsubscribeSecond();
+    expect(cancelFrame).toHaveBeenCalledWith(1);
+    expect(frames.size).toBe(0);
+  });
+
+  it('stops calling a listener after it unsubscribes', () => {
+    const { clock, advance, runFrame } = createFakeClock();
+    const listener = vi.fn();
+    const unsubscribe = clock.subscribe(listener);
+    clock.subscribe(() => {});
+    unsubscribe();
+    advance(16);
+    runFrame();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,241 @@
+import { DEFAULT_LAP_METERS, formatDuration } from './pace';
+import { comparePlan, formatTimer, pairHistory, rowDistance } from './timers';
+
+export const EXPORT_FORMAT = 'calculadora-de-pista/session';
+const EXPORT_VERSION = 1;
+
+const pickEntry = ({
+  mode,
+  duration,
+  timestamp,
+  finishes,
+  edited,
+  distanceMeters,
+}) => ({
+  mode,
+  duration,
+  timestamp,
+  ...(finishes ? { finishes } : {}),
+  ...(distanceMeters > 0 ? { distanceMeters } : {}),
+  ...(edited ? { edited: true } : {}),
+});
+
+const sessionStart = (groups) => {
+  const starts = groups
+    .filter((group) => group.history.length)
+    .map((group) => group.history[0].timestamp - group.history[0].duration);
+  return starts.length ? Math.min(...starts) : null;
+};
+
+// Durations are kept as raw milliseconds so an export can be re-imported
+// without losing precision.
+export const buildSessionExport = ({ groups, lapLength, exportedAt }) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt,
+  startedAt: sessionStart(groups),
+  lapLength,
+  groups: groups.map((group) => ({
+    name: group.name,
+    plan: group.plan ?? null,
+    athleteIds: group.athleteIds ?? [],
+    repDistanceMeters: group.repDistanceMeters ?? null,
+    history: group.history.map(pickEntry),
+  })),
+});
+
+export const toJSON = (options) =>
+  JSON.stringify(buildSessionExport(options), null, 2);
+
+const CSV_HEADER = [
+  'grupo',
+  'repeticao',
+  'corrida',
+  'corrida_ms',
+  'descanso',
+  'descanso_ms',
+  'alvo_s',
+  'diferenca_ms',
+  'distancia_m',
+];
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = ({ groups }) => {
+  const lines = [CSV_HEADER.join(',')];
+  groups.forEach((group) => {
+    comparePlan(pairHistory(group.history), group.plan).forEach(
+      (row, index) => {
+        lines.push(
+          [
+            group.name,
+            index + 1,
+            row.run ? formatTimer(row.run.duration) : '',
+            row.run?.duration,
+            row.rest ? formatTimer(row.rest.duration) : '',
+            row.rest?.duration,
+            row.planned?.timeSeconds,
+            row.comparison ? Math.round(row.comparison.diffMs) : '',
+            row.run ? rowDistance(row, group.repDistanceMeters) : '',
+          ]
+            .map(escapeCSV)
+            .join(',')
+        );
+      }
+    );
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+// Plain-text layout meant to be pasted into a chat message.
+export const toTextSummary = ({ groups, lapLength, exportedAt }) => {
+  const startedAt = sessionStart(groups) ?? exportedAt;
+  const lines = [
+    `Treino de ${new Date(startedAt).toLocaleDateString('pt-BR')} (volta de ${lapLength} m)`,
+  ];
+
+  groups
+    .filter((group) => group.history.length)
+    .forEach((group) => {
+      const rows = comparePlan(pairHistory(group.history), group.plan);
+      const runs = rows.filter((row) => row.run).map((row) => row.run.duration);
+
+      lines.push('', `${group.name}`);
+      rows.forEach((row, index) => {
+        const parts = [`${index + 1}.`];
+        parts.push(row.run ? formatTimer(row.run.duration) : '—');
+        if (row.planned) {
+          parts.push(`(alvo ${formatDuration(row.planned.timeSeconds)})`);
+        }
+        if (row.rest)
+          parts.push(`| descanso ${formatTimer(row.rest.duration)}`);
+        lines.push(parts.join(' '));
+      });
+
+      if (runs.length) {
+        const average =
+          runs.reduce((sum, value) => sum + value, 0) / runs.length;
+        lines.push(
+          `Média ${formatTimer(average)} · melhor ${formatTimer(
+            Math.min(...runs)
+          )} · pior ${formatTimer(Math.max(...runs))}`
+        );
+      }
+    });
+
+  return lines.join('\n');
+};
+
+const isValidEntry = (entry) =>
+  entry &&
+  (entry.mode === 'run' || entry.mode === 'rest') &&
+  typeof entry.duration === 'number' &&
+  Number.isFinite(entry.duration) &&
+  entry.duration >= 0 &&
+  typeof entry.timestamp === 'number';
+
+const isNonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const isPositiveNumber = (value) => isNonNegativeNumber(value) && value > 0;
+
+const isOptionalPositive = (value) =>
+  value === undefined || value === null || isPositiveNumber(value);
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Athlete id → finish time in milliseconds since the rep started.
+const isValidFinishes = (finishes) =>
+  isPlainObject(finishes) && Object.values(finishes).every(isNonNegativeNumber);
+
+const isValidPlanRep = (rep) =>
+  isPlainObject(rep) &&
+  isPositiveNumber(rep.distanceMeters) &&
+  isOptionalPositive(rep.timeSeconds) &&
+  isOptionalPositive(rep.paceSeconds);
+
+// Only the fields the history reads, so nothing else from the file ends up
+// in the archive.
+const pickPlanRep = ({ distanceMeters, timeSeconds, paceSeconds }) => ({
+  distanceMeters,
+  timeSeconds: timeSeconds ?? null,
+  paceSeconds: paceSeconds ?? null,
+});
+
+// A malformed plan is dropped rather than failing the whole import: the
+// history is what matters.
+const parsePlan = (plan) =>
+  Array.isArray(plan) && plan.length && plan.every(isValidPlanRep)
+    ? plan.map(pickPlanRep)
+    : null;
+
+// Turns a JSON export back into an archived session. Throws an Error with a
+// user-facing message when the file is not a valid export.
+export const parseSessionImport = (text, now = Date.now()) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('O arquivo não é um JSON válido.');
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.groups)) {
+    throw new Error('O arquivo não é uma exportação da Calculadora de Pista.');
+  }
+
+  const groups = data.groups.map((group, index) => {
+    if (!group || typeof group !== 'object') {
+      throw new Error(`O grupo ${index + 1} é inválido.`);
+    }
+    if (!Array.isArray(group.history) || !group.history.every(isValidEntry)) {
+      throw new Error(`O grupo ${index + 1} tem registros inválidos.`);
+    }
+    return {
+      id: index + 1,
+      name: String(group.name || `Grupo ${index + 1}`),
+      plan: parsePlan(group.plan),
+      athleteIds: Array.isArray(group.athleteIds)
+        ? group.athleteIds.map(String)
+        : [],
+      repDistanceMeters: Number(group.repDistanceMeters) || null,
+      history: group.history.map((entry) => ({
+        ...pickEntry({
+          ...entry,
+          finishes: isValidFinishes(entry.finishes) ? entry.finishes : null,
+        }),
+        id: entry.timestamp + Math.random(),
+      })),
+    };
+  });
+
+  if (!groups.some((group) => group.history.length)) {
+    throw new Error('O arquivo não contém nenhum registro.');
+  }
+
+  return {
+    id: `session-${now}`,
+    startedAt: data.startedAt ?? sessionStart(groups) ?? now,
+    finishedAt: data.exportedAt ?? now,
+    lapLength: Number(data.lapLength) || DEFAULT_LAP_METERS,
+    groups,
+  };
+};
+
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Firefox and Safari start the download after click() returns; revoking
+  // the URL right away can cancel it.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import {
+  EXPORT_FORMAT,
+  buildSessionExport,
+  parseSessionImport,
+} from './exportHistory';
+
+const T0 = 1_700_000_000_000;
+
+const exported = () =>
+  buildSessionExport({
+    groups: [
+      {
+        name: 'Grupo A',
+        history: [
+          { mode: 'run', duration: 60_000, timestamp: T0 + 60_000 },
+          { mode: 'rest', duration: 90_000, timestamp: T0 + 150_000 },
+        ],
+      },
+    ],
+    lapLength: 400,
+    exportedAt: T0 + 200_000,
+  });
+
+describe('parseSessionImport', () => {
+  it('reads back an export', () => {
+    const session = parseSessionImport(JSON.stringify(exported()), T0);
+    expect(session.startedAt).toBe(T0);
+    expect(session.lapLength).toBe(400);
+    expect(session.groups[0].name).toBe('Grupo A');
+    expect(session.groups[0].history.map((entry) => entry.duration)).toEqual([
+      60_000, 90_000,
+    ]);
+  });
+
+  it('rejects files that are not exports', () => {
+    expect(() => parseSessionImport('{', T0)).toThrow(
+      'O arquivo não é um JSON válido.'
+    );
+    expect(() => parseSessionImport('{"groups": []}', T0)).toThrow(
+      'O arquivo não é uma exportação da Calculadora de Pista.'
+    );
+  });
+
+  it('rejects groups that are not objects', () => {
+    const data = { ...exported(), groups: [...exported().groups, null] };
+    expect(() => parseSessionImport(JSON.stringify(data), T0)).toThrow(
+      'O grupo 2 é inválido.'
+    );
+    expect(() =>
+      parseSessionImport(
+        JSON.stringify({ format: EXPORT_FORMAT, groups: ['grupo'] }),
+        T0
+      )
+    ).toThrow('O grupo 1 é inválido.');
+  });
+
+  it('rejects invalid entries', () => {
+    const data = exported();
+    data.groups[0].history.push(null);
+    expect(() => parseSessionImport(JSON.stringify(data), T0)).toThrow(
+      'O grupo 1 tem registros inválidos.'
+    );
+  });
+
+  it('keeps valid finishes and plans', () => {
+    const data = exported();
+    data.groups[0].history[0].finishes = { a: 58_000, b: 61_500 };
+    data.groups[0].plan = [
+      { distanceMeters: 400, timeSeconds: 60, paceSeconds: 150 },
+    ];
+    const [group] = parseSessionImport(JSON.stringify(data), T0).groups;
+    expect(group.history[0].finishes).toEqual({ a: 58_000, b: 61_500 });
+    expect(group.plan).toEqual([
+      { distanceMeters: 400, timeSeconds: 60, paceSeconds: 150 },
+    ]);
+  });
+
+  it('drops malformed finishes', () => {
+    const data = exported();
+    data.groups[0].history[0].finishes = { a: 'rápido' };
+    data.groups[0].history[1].finishes = [58_000];
+    const [group] = parseSessionImport(JSON.stringify(data), T0).groups;
+    expect(group.history[0]).not.toHaveProperty('finishes');
+    expect(group.history[1]).not.toHaveProperty('finishes');
+  });
+
+  it('drops malformed plans', () => {
+    const planned = (plan) => {
+      const data = exported();
+      data.groups[0].plan = plan;
+      return parseSessionImport(JSON.stringify(data), T0).groups[0].plan;
+    };
+    expect(planned('400 m')).toBeNull();
+    expect(planned([null])).toBeNull();
+    expect(planned([{ distanceMeters: -400, timeSeconds: 60 }])).toBeNull();
+    expect(planned([{ distanceMeters: 400, timeSeconds: '60' }])).toBeNull();
+  });
+});
@@ -0,0 +1,330 @@
+import { PACE_UNITS, paceFromSecondsPerKm, paceToSecondsPerKm } from './units';
+
+export const METERS_IN_KM = 1000;
+export const DEFAULT_LAP_METERS = 400;
+export const SECONDS_IN_HOUR = 3600;
+
+const NUMERIC_SEGMENT = /^\d+(\.\d+)?$/;
+
+export const padTime = (value) => String(value).padStart(2, '0');
+
+const isPositiveNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Accepts decimal minutes ("4.5"), "mm:ss" and "hh:mm:ss". Seconds above 59
+// roll over into the next minute, so "4:60" is read as 5:00. Pass
+// `bareNumberSeconds = 1` to read a bare number such as "90" as seconds.
+export const parseDurationInput = (value, bareNumberSeconds = 60) => {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+
+  if (NUMERIC_SEGMENT.test(trimmed)) {
+    return parseFloat(trimmed) * bareNumberSeconds;
+  }
+
+  const parts = trimmed.split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+  if (parts.some((part) => !NUMERIC_SEGMENT.test(part.trim()))) {
+    return null;
+  }
+
+  const segments = parts.map((part) => Number(part));
+
+  if (segments.length === 3) {
+    const [hours, minutes, seconds] = segments;
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+
+  const [minutes, seconds] = segments;
+  return minutes * 60 + seconds;
+};
+
+export const formatDuration = (seconds) => {
+  if (!isPositiveNumber(seconds)) {
+    return null;
+  }
+  const rounded = Math.round(seconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const secs = rounded % 60;
+
+  if (hours > 0) {
+    return `${hours}:${padTime(minutes)}:${padTime(secs)}`;
+  }
+
+  return `${minutes}:${padTime(secs)}`;
+};
+
+// Paces are always passed in s/km; `system` only picks the printed unit.
+export const formatPace = (secondsPerKm, system = 'metric') => {
+  if (!isPositiveNumber(secondsPerKm)) {
+    return null;
+  }
+  const unit = PACE_UNITS[system] ?? PACE_UNITS.metric;
+  const rounded = Math.round(paceFromSecondsPerKm(secondsPerKm, system));
+  const minutes = Math.floor(rounded / 60);
+  const seconds = rounded % 60;
+  return `${minutes}:${padTime(seconds)} min/${unit.label}`;
+};
+
+// Rewrites a typed pace ("7:15" per mile) for another unit system. Text that
+// is not a pace comes back unchanged.
+export const convertPaceInput = (value, from, to) => {
+  const seconds = parseDurationInput(value);
+  if (!seconds || from === to) return value;
+  return (
+    formatDuration(
+      paceFromSecondsPerKm(paceToSecondsPerKm(seconds, from), to)
+    ) ?? value
+  );
+};
+
+export const formatMeters = (value) => {
+  if (!value && value !== 0) return '—';
+  return `${value.toLocaleString('pt-BR')} m`;
+};
+
+export const parseDistanceInput = (value) => {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+  const parsed = Number.parseFloat(trimmed);
+  return isPositiveNumber(parsed) ? parsed : null;
+};
+
+// Speed (km/h) and pace (s/km) are two ways of writing the same value.
+export const speedFromPace = (secondsPerKm) =>
+  isPositiveNumber(secondsPerKm) ? SECONDS_IN_HOUR / secondsPerKm : null;
+
+export const paceFromSpeed = (kmPerHour) =>
+  isPositiveNumber(kmPerHour) ? SECONDS_IN_HOUR / kmPerHour : null;
+
+// Given any two of distance (m), time (s) and pace (s/km) or speed (km/h),
+// fills in the rest. An entered pace wins over an entered speed.
+// `solvedField` names the value that was calculated, or is null when the
+// inputs do not determine exactly one missing field.
+export const solveEffort = ({
+  distanceMeters,
+  timeSeconds,
+  paceSeconds,
+  speedKmh,
+}) => {
+  const distance = isPositiveNumber(distanceMeters) ? distanceMeters : null;
+  const time = isPositiveNumber(timeSeconds) ? timeSeconds : null;
+  const pace = isPositiveNumber(paceSeconds)
+    ? paceSeconds
+    : paceFromSpeed(speedKmh);
+  const result = {
+    distanceMeters: distance,
+    timeSeconds: time,
+    paceSeconds: pace,
+    speedKmh: null,
+    solvedField: null,
+  };
+
+  if (distance && time && !pace) {
+    result.paceSeconds = time / (distance / METERS_IN_KM);
+    result.solvedField = 'pace';
+  } else if (distance && pace && !time) {
+    result.timeSeconds = pace * (distance / METERS_IN_KM);
+    result.solvedField = 'time';
+  } else if (time && pace && !distance) {
+    result.distanceMeters = (time / pace) * METERS_IN_KM;
+    result.solvedField = 'distance';
+  }
+
+  result.speedKmh = speedFromPace(result.paceSeconds);
+  return result;
+};
+
+export const computeLapData = (distanceMeters, lapLength) => {
+  if (!isPositiveNumber(distanceMeters) || !isPositiveNumber(lapLength)) {
+    return null;
+  }
+  const lapCount = distanceMeters / lapLength;
+  const fullLaps = Math.floor(lapCount);
+  const remainderMeters = Math.round(distanceMeters - fullLaps * lapLength);
+  const progress = lapCount % 1;
+  return {
+    lapCount,
+    fullLaps,
+    remainderMeters,
+    progress,
+  };
+};
+
+// Pace wins over total time when both are known, matching how the calculator
+// treats an explicitly entered pace as the target.
+export const resolvePace = ({ distanceMeters, timeSeconds, paceSeconds }) => {
+  if (isPositiveNumber(paceSeconds)) return paceSeconds;
+  if (isPositiveNumber(timeSeconds) && isPositiveNumber(distanceMeters)) {
+    return timeSeconds / (distanceMeters / METERS_IN_KM);
+  }
+  return null;
+};
+
+export const PACING_STRATEGIES = {
+  even: 'Ritmo constante',
+  negative: 'Split negativo',
+  progressive: 'Progressivo',
+  halves: 'Personalizado (1ª metade)',
+};
+
+export const EVEN_PACING = { type: 'even', value: null };
+
+// Reads the strategy as typed in the form: a mm:ss pace for `halves`, a
+// number of seconds otherwise. The first-half pace and the negative-split
+// gap are per km or per mile; the progressive step is per lap in either
+// system. Anything unusable means even pacing.
+export const parsePacingStrategy = ({ type, value }, system = 'metric') => {
+  if (!PACING_STRATEGIES[type] || type === 'even') return EVEN_PACING;
+  const typed =
+    type === 'halves'
+      ? parseDurationInput(value)
+      : Number.parseFloat(String(value ?? '').replace(',', '.'));
+  const seconds =
+    type === 'progressive' || !Number.isFinite(typed)
+      ? typed
+      : paceToSecondsPerKm(typed, system);
+  return isPositiveNumber(seconds) ? { type, value: seconds } : EVEN_PACING;
+};
+
+// The form text for a parsed strategy, in the given unit system.
+export const formatPacingValue = ({ type, value }, system = 'metric') => {
+  if (!isPositiveNumber(value)) return '';
+  if (type === 'progressive') return String(value);
+  const perUnit = paceFromSecondsPerKm(value, system);
+  return type === 'halves'
+    ? (formatDuration(perUnit) ?? '')
+    : String(Number(perUnit.toFixed(1)));
+};
+
+const overlap = (start, end, from, to) =>
+  Math.max(0, Math.min(end, to) - Math.max(start, from));
+
+// Returns a function giving the seconds spent on a segment of the race
+// (`start`/`end` in metres, `index` its position in `segments`) for the
+// chosen strategy, scaled so the whole distance takes exactly
+// `totalSeconds`. Returns null when the strategy would need a zero or
+// negative pace somewhere.
+//
+// - negative: second half `value` s/km faster than the first.
+// - progressive: every lap `value` seconds faster than the previous one.
+// - halves: first half run at `value` s/km, second half takes what is left.
+export const buildPaceProfile = ({
+  distanceMeters,
+  lapLength,
+  segments,
+  totalSeconds,
+  strategy = EVEN_PACING,
+}) => {
+  const km = distanceMeters / METERS_IN_KM;
+  const averagePace = totalSeconds / km;
+  const value = Number(strategy.value) || 0;
+  const halfway = distanceMeters / 2;
+
+  const halvesProfile = (firstPace, secondPace) => {
+    if (firstPace <= 0 || secondPace <= 0) return null;
+    return (start, end) =>
+      (overlap(start, end, 0, halfway) * firstPace +
+        overlap(start, end, halfway, distanceMeters) * secondPace) /
+      METERS_IN_KM;
+  };
+
+  if (strategy.type === 'negative') {
+    return halvesProfile(averagePace + value / 2, averagePace - value / 2);
+  }
+
+  if (strategy.type === 'halves') {
+    if (!isPositiveNumber(value)) return null;
+    const halfKm = halfway / METERS_IN_KM;
+    return halvesProfile(value, (totalSeconds - halfKm * value) / halfKm);
+  }
+
+  if (strategy.type === 'progressive') {
+    // Each lap is `value` seconds quicker, i.e. its pace drops by
+    // value * 1000 / lapLength s/km. Solve for the first segment's pace so
+    // the segments add up to the total time.
+    const paceStep = (value * METERS_IN_KM) / lapLength;
+    const weightedMeters = segments.reduce(
+      (sum, segment, index) => sum + index * (segment.end - segment.start),
+      0
+    );
+    const firstPace =
+      (totalSeconds + (paceStep * weightedMeters) / METERS_IN_KM) / km;
+    const lastPace = firstPace - paceStep * (segments.length - 1);
+    if (firstPace <= 0 || lastPace <= 0) return null;
+    return (start, end, index) =>
+      ((end - start) / METERS_IN_KM) * (firstPace - paceStep * index);
+  }
+
+  return (start, end) => ((end - start) / METERS_IN_KM) * averagePace;
+};
+
+// Splits the distance into laps. `firstLapMeters` shortens the first one,
+// for races that start part-way round the track (1500 m = 300 m + 3 laps).
+const buildLapSegments = (distanceMeters, lapLength, firstLapMeters) => {
+  const segments = [];
+  let start = 0;
+  if (firstLapMeters > 0 && firstLapMeters < lapLength) {
+    segments.push({ start: 0, end: firstLapMeters, isStart: true });
+    start = firstLapMeters;
+  }
+  while (distanceMeters - start > lapLength) {
+    segments.push({ start, end: start + lapLength, isStart: false });
+    start += lapLength;
+  }
+  if (distanceMeters - start > 0) {
+    segments.push({ start, end: distanceMeters, isStart: false });
+  }
+  return segments;
+};
+
+export const computeLapSplits = ({
+  distanceMeters,
+  lapLength,
+  timeSeconds,
+  paceSeconds,
+  strategy = EVEN_PACING,
+  firstLapMeters = 0,
+}) => {
+  if (!isPositiveNumber(distanceMeters) || !isPositiveNumber(lapLength)) {
+    return [];
+  }
+  if (distanceMeters <= lapLength) return [];
+
+  const segments = buildLapSegments(distanceMeters, lapLength, firstLapMeters);
+  const pace = resolvePace({ distanceMeters, timeSeconds, paceSeconds });
+  const profile = pace
+    ? buildPaceProfile({
+        distanceMeters,
+        lapLength,
+        segments,
+        totalSeconds: pace * (distanceMeters / METERS_IN_KM),
+        strategy,
+      })
+    : null;
+
+  const hasStartSegment = segments[0]?.isStart;
+  let elapsed = 0;
+
+  return segments.map((segment, index) => {
+    const lapSeconds = profile
+      ? profile(segment.start, segment.end, index)
+      : null;
+    if (profile) elapsed += lapSeconds;
+    const lap = hasStartSegment ? index : index + 1;
+    const isFinal =
+      index === segments.length - 1 && segment.end - segment.start < lapLength;
+    return {
+      id: segment.isStart ? 'lap-start' : isFinal ? 'lap-final' : `lap-${lap}`,
+      lap,
+      cumulativeMeters: segment.end,
+      lapSeconds,
+      seconds: profile ? elapsed : null,
+      isStart: segment.isStart,
+      isFinal,
+    };
+  });
+};
@@ -0,0 +1,216 @@
+import { describe, expect, it } from 'vitest';
+import {
+  EVEN_PACING,
+  computeLapSplits,
+  convertPaceInput,
+  formatPacingValue,
+  parseDurationInput,
+  parsePacingStrategy,
+  solveEffort,
+} from './pace';
+
+describe('parseDurationInput', () => {
+  it('reads mm:ss and rolls over 60 seconds', () => {
+    expect(parseDurationInput('4:30')).toBe(270);
+    expect(parseDurationInput('4:60')).toBe(300);
+  });
+
+  it('reads a bare number as decimal minutes', () => {
+    expect(parseDurationInput('4.5')).toBe(270);
+    expect(parseDurationInput('4')).toBe(240);
+  });
+
+  it('reads bare numbers in the given unit', () => {
+    expect(parseDurationInput('75.5', 1)).toBe(75.5);
+  });
+
+  it('reads hour-long efforts', () => {
+    expect(parseDurationInput('1:00:00')).toBe(3600);
+    expect(parseDurationInput('2:05:30')).toBe(7530);
+  });
+
+  it('rejects malformed values', () => {
+    expect(parseDurationInput('-1:00')).toBeNull();
+    expect(parseDurationInput('1:')).toBeNull();
+    expect(parseDurationInput('')).toBeNull();
+    expect(parseDurationInput('abc')).toBeNull();
+    expect(parseDurationInput('1:2:3:4')).toBeNull();
+  });
+});
+
+describe('convertPaceInput', () => {
+  it('rewrites a pace for the other unit system', () => {
+    expect(convertPaceInput('4:30', 'metric', 'imperial')).toBe('7:15');
+    expect(convertPaceInput('7:15', 'imperial', 'metric')).toBe('4:30');
+  });
+
+  it('leaves other text alone', () => {
+    expect(convertPaceInput('4:30', 'metric', 'metric')).toBe('4:30');
+    expect(convertPaceInput('', 'metric', 'imperial')).toBe('');
+    expect(convertPaceInput('abc', 'metric', 'imperial')).toBe('abc');
+  });
+});
+
+describe('solveEffort', () => {
+  it('solves pace from distance and time', () => {
+    const result = solveEffort({ distanceMeters: 5000, timeSeconds: 1200 });
+    expect(result.solvedField).toBe('pace');
+    expect(result.paceSeconds).toBe(240);
+    expect(result.speedKmh).toBe(15);
+  });
+
+  it('solves time from distance and pace', () => {
+    const result = solveEffort({ distanceMeters: 10000, paceSeconds: 300 });
+    expect(result.solvedField).toBe('time');
+    expect(result.timeSeconds).toBe(3000);
+  });
+
+  it('solves distance from time and pace', () => {
+    const result = solveEffort({ timeSeconds: 3600, paceSeconds: 240 });
+    expect(result.solvedField).toBe('distance');
+    expect(result.distanceMeters).toBe(15000);
+  });
+
+  it('uses speed when no pace is given', () => {
+    const result = solveEffort({ distanceMeters: 12000, speedKmh: 12 });
+    expect(result.solvedField).toBe('time');
+    expect(result.paceSeconds).toBe(300);
+    expect(result.timeSeconds).toBe(3600);
+  });
+
+  it('prefers an entered pace over an entered speed', () => {
+    const result = solveEffort({
+      distanceMeters: 1000,
+      paceSeconds: 240,
+      speedKmh: 10,
+    });
+    expect(result.timeSeconds).toBe(240);
+    expect(result.speedKmh).toBe(15);
+  });
+
+  it('solves nothing without exactly one missing field', () => {
+    expect(solveEffort({ distanceMeters: 5000 }).solvedField).toBeNull();
+    expect(
+      solveEffort({ distanceMeters: 5000, timeSeconds: 1200, paceSeconds: 240 })
+        .solvedField
+    ).toBeNull();
+  });
+});
+
+describe('computeLapSplits', () => {
+  it('returns no splits for a single lap or less', () => {
+    expect(
+      computeLapSplits({
+        distanceMeters: 400,
+        lapLength: 400,
+        paceSeconds: 240,
+      })
+    ).toEqual([]);
+    expect(
+      computeLapSplits({
+        distanceMeters: 300,
+        lapLength: 400,
+        paceSeconds: 240,
+      })
+    ).toEqual([]);
+  });
+
+  it('ends 1000 m on a 400 m lap with a 200 m final split', () => {
+    const splits = computeLapSplits({
+      distanceMeters: 1000,
+      lapLength: 400,
+      paceSeconds: 240,
+    });
+    expect(splits.map((split) => split.cumulativeMeters)).toEqual([
+      400, 800, 1000,
+    ]);
+    expect(splits.map((split) => split.lapSeconds)).toEqual([96, 96, 48]);
+    expect(splits.map((split) => split.seconds)).toEqual([96, 192, 240]);
+    expect(splits[2]).toMatchObject({ id: 'lap-final', lap: 3, isFinal: true });
+  });
+
+  it('times remainders much shorter than a lap', () => {
+    const splits = computeLapSplits({
+      distanceMeters: 410,
+      lapLength: 400,
+      timeSeconds: 82,
+    });
+    expect(splits).toHaveLength(2);
+    expect(splits[1].cumulativeMeters).toBe(410);
+    expect(splits[1].lapSeconds).toBeCloseTo(2);
+    expect(splits[1].seconds).toBeCloseTo(82);
+    expect(splits[1].isFinal).toBe(true);
+  });
+
+  it('does not mark a whole last lap as final', () => {
+    const splits = computeLapSplits({
+      distanceMeters: 800,
+      lapLength: 400,
+      paceSeconds: 240,
+    });
+    expect(splits.map((split) => split.id)).toEqual(['lap-1', 'lap-2']);
+    expect(splits.some((split) => split.isFinal)).toBe(false);
+  });
+
+  it('starts part-way round the track', () => {
+    const splits = computeLapSplits({
+      distanceMeters: 1500,
+      lapLength: 400,
+      paceSeconds: 200,
+      firstLapMeters: 300,
+    });
+    expect(splits.map((split) => split.cumulativeMeters)).toEqual([
+      300, 700, 1100, 1500,
+    ]);
+    expect(splits[0]).toMatchObject({ id: 'lap-start', lap: 0, isStart: true });
+    expect(splits[3].seconds).toBeCloseTo(300);
+  });
+
+  it('leaves times empty without a pace or time', () => {
+    const splits = computeLapSplits({ distanceMeters: 1000, lapLength: 400 });
+    expect(splits.map((split) => split.seconds)).toEqual([null, null, null]);
+  });
+});
+
+describe('parsePacingStrategy', () => {
+  it('reads a first-half pace per km or per mile', () => {
+    expect(parsePacingStrategy({ type: 'halves', value: '4:40' })).toEqual({
+      type: 'halves',
+      value: 280,
+    });
+    const perMile = parsePacingStrategy(
+      { type: 'halves', value: '7:30' },
+      'imperial'
+    );
+    expect(perMile.value).toBeCloseTo(279.62, 2);
+  });
+
+  it('converts the negative-split gap but not the progressive step', () => {
+    expect(
+      parsePacingStrategy({ type: 'negative', value: '16,1' }, 'imperial').value
+    ).toBeCloseTo(10, 1);
+    expect(
+      parsePacingStrategy({ type: 'progressive', value: '1' }, 'imperial')
+    ).toEqual({ type: 'progressive', value: 1 });
+  });
+
+  it('falls back to even pacing', () => {
+    expect(parsePacingStrategy({ type: 'halves', value: '' })).toBe(
+      EVEN_PACING
+    );
+    expect(parsePacingStrategy({ type: 'negative', value: '-5' })).toBe(
+      EVEN_PACING
+    );
+    expect(parsePacingStrategy({ type: 'other', value: '5' })).toBe(
+      EVEN_PACING
+    );
+  });
+
+  it('formats a strategy back for the form', () => {
+    expect(formatPacingValue({ type: 'halves', value: 280 })).toBe('4:40');
+    expect(formatPacingValue({ type: 'negative', value: 10 }, 'imperial')).toBe(
+      '16.1'
+    );
+    expect(formatPacingValue(EVEN_PACING)).toBe('');
+  });
+});
@@ -0,0 +1,148 @@
+import {
+  EVEN_PACING,
+  METERS_IN_KM,
+  computeLapSplits,
+  formatDuration,
+  formatPace,
+  resolvePace,
+} from './pace';
+import { PACE_UNITS } from './units';
+
+// The "km" layout splits per mile in the imperial system.
+export const BAND_LAYOUTS = {
+  lap: { metric: 'Por volta', imperial: 'Por volta' },
+  km: { metric: 'Por km', imperial: 'Por milha' },
+};
+
+export const MIN_BAND_FONT = 8;
+export const MAX_BAND_FONT = 18;
+export const DEFAULT_BAND_FONT = 11;
+
+// Physical size of one strip, in millimetres. 220 mm wraps comfortably
+// around a wrist and fits an A4 sheet in portrait with margins.
+const BAND_WIDTH_MM = 220;
+const BAND_GAP_MM = 6;
+const PT_TO_MM = 0.3528;
+
+const formatSplitDistance = (meters, unit) =>
+  `${(meters / unit.meters).toLocaleString('pt-BR', {
+    maximumFractionDigits: 2,
+  })} ${unit.label}`;
+
+// The strategy's progressive step is seconds per lap; per km (or mile)
+// splits use the same rate of change, so each split gets (split / lap)²
+// times that step.
+const perSplitStrategy = (strategy, lapLength, splitMeters) =>
+  strategy.type === 'progressive'
+    ? { ...strategy, value: strategy.value * (splitMeters / lapLength) ** 2 }
+    : strategy;
+
+// Lap splits match the calculator's, partial first lap included; a race
+// that starts part-way round the track still gets whole-km (or mile) splits.
+export const buildPaceBandRows = ({
+  distanceMeters,
+  lapLength,
+  timeSeconds,
+  paceSeconds,
+  strategy = EVEN_PACING,
+  firstLapMeters = 0,
+  layout,
+  unitSystem = 'metric',
+}) => {
+  const byKm = layout === 'km';
+  const unit = PACE_UNITS[unitSystem] ?? PACE_UNITS.metric;
+  return computeLapSplits({
+    distanceMeters,
+    lapLength: byKm ? unit.meters : lapLength,
+    timeSeconds,
+    paceSeconds,
+    strategy: byKm
+      ? perSplitStrategy(strategy, lapLength, unit.meters)
+      : strategy,
+    firstLapMeters: byKm ? 0 : firstLapMeters,
+  }).map((split) => ({
+    id: split.id,
+    label: byKm
+      ? formatSplitDistance(split.cumulativeMeters, unit)
+      : `${split.cumulativeMeters.toLocaleString('pt-BR')} m`,
+    time: formatDuration(split.seconds) ?? '—',
+  }));
+};
+
+export const describePaceBand = ({
+  distanceMeters,
+  timeSeconds,
+  paceSeconds,
+  unitSystem = 'metric',
+}) => {
+  const pace = resolvePace({ distanceMeters, timeSeconds, paceSeconds });
+  const total = pace ? pace * (distanceMeters / METERS_IN_KM) : null;
+  return {
+    distance: `${distanceMeters.toLocaleString('pt-BR')} m`,
+    total: formatDuration(total),
+    pace: formatPace(pace, unitSystem),
+  };
+};
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const textWidth = (text, em) => text.length * em * 0.62;
+
+// Lays the splits out as cuttable strips of BAND_WIDTH_MM and returns a
+// standalone SVG document in millimetre units, so it prints at true size.
+// Each strip starts with a title cell holding `heading` and `subheading`.
+export const buildPaceBandSVG = ({ rows, heading, subheading, fontSize }) => {
+  const em = fontSize * PT_TO_MM;
+  const padding = em * 0.5;
+  const longestText = Math.max(
+    ...rows.map((row) => Math.max(row.label.length, row.time.length))
+  );
+  const cellWidth = longestText * em * 0.62 + padding * 2;
+  const titleWidth = Math.min(
+    Math.max(textWidth(heading, em), textWidth(subheading, em * 0.8)) +
+      padding * 2,
+    BAND_WIDTH_MM / 3
+  );
+  const cellsPerBand = Math.max(
+    1,
+    Math.floor((BAND_WIDTH_MM - titleWidth) / cellWidth)
+  );
+  const bandHeight = em * 2.8 + padding * 2;
+
+  const bands = [];
+  for (let index = 0; index < rows.length; index += cellsPerBand) {
+    bands.push(rows.slice(index, index + cellsPerBand));
+  }
+
+  const height = bands.length * (bandHeight + BAND_GAP_MM);
+  const parts = bands.map((band, bandIndex) => {
+    const y = bandIndex * (bandHeight + BAND_GAP_MM) + BAND_GAP_MM / 2;
+    const cells = band.map((row, cellIndex) => {
+      const x = titleWidth + cellIndex * cellWidth;
+      const cx = x + cellWidth / 2;
+      return [
+        `<line x1="${x}" y1="${y}" x2="${x}" y2="${y + bandHeight}" stroke="#000" stroke-width="0.2"/>`,
+        `<text x="${cx}" y="${y + padding + em}" font-size="${em * 0.8}" text-anchor="middle" fill="#444">${escapeXML(row.label)}</text>`,
+        `<text x="${cx}" y="${y + padding + em * 2.3}" font-size="${em}" font-weight="700" text-anchor="middle" fill="#000">${escapeXML(row.time)}</text>`,
+      ].join('');
+    });
+    const bandWidth = titleWidth + band.length * cellWidth;
+    return [
+      `<rect x="0" y="${y}" width="${bandWidth}" height="${bandHeight}" fill="#fff" stroke="#000" stroke-width="0.3" stroke-dasharray="1.5 1"/>`,
+      `<text x="${padding}" y="${y + padding + em}" font-size="${em}" font-weight="700" fill="#000">${escapeXML(heading)}</text>`,
+      `<text x="${padding}" y="${y + padding + em * 2.3}" font-size="${em * 0.8}" fill="#444">${escapeXML(subheading)}</text>`,
+      ...cells,
+    ].join('');
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${BAND_WIDTH_MM}mm" height="${height}mm" viewBox="0 0 ${BAND_WIDTH_MM} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    ...parts,
+    '</svg>',
+  ].join('');
+};
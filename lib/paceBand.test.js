@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { buildPaceBandRows } from './paceBand';
+
+describe('buildPaceBandRows', () => {
+  const race = {
+    distanceMeters: 1500,
+    lapLength: 400,
+    timeSeconds: 300,
+    firstLapMeters: 300,
+  };
+
+  it('starts with the partial first lap, like the calculator', () => {
+    const rows = buildPaceBandRows({ ...race, layout: 'lap' });
+    expect(rows.map((row) => row.label)).toEqual([
+      '300 m',
+      '700 m',
+      '1.100 m',
+      '1.500 m',
+    ]);
+    expect(rows.map((row) => row.time)).toEqual([
+      '1:00',
+      '2:20',
+      '3:40',
+      '5:00',
+    ]);
+  });
+
+  it('applies the pacing strategy', () => {
+    const rows = buildPaceBandRows({
+      ...race,
+      strategy: { type: 'negative', value: 20 },
+      layout: 'lap',
+    });
+    expect(rows[0].time).toBe('1:03');
+    expect(rows.at(-1).time).toBe('5:00');
+  });
+
+  it('keeps whole-km splits for a race with a partial first lap', () => {
+    const rows = buildPaceBandRows({ ...race, layout: 'km' });
+    expect(rows.map((row) => row.label)).toEqual(['1 km', '1,5 km']);
+  });
+
+  it('splits per mile in the imperial system', () => {
+    const rows = buildPaceBandRows({
+      distanceMeters: 5000,
+      lapLength: 400,
+      paceSeconds: 240,
+      layout: 'km',
+      unitSystem: 'imperial',
+    });
+    expect(rows.map((row) => row.label)).toEqual([
+      '1 mi',
+      '2 mi',
+      '3 mi',
+      '3,11 mi',
+    ]);
+    expect(rows[0].time).toBe('6:26');
+    expect(rows.at(-1).time).toBe('20:00');
+  });
+});
@@ -0,0 +1,104 @@
+import { METERS_IN_KM } from './pace';
+
+export const PREDICTION_MODELS = {
+  riegel: 'Riegel',
+  vdot: 'VDOT (Daniels)',
+};
+
+export const PREDICTION_DISTANCES = [
+  { id: '400', label: '400 m', meters: 400 },
+  { id: '800', label: '800 m', meters: 800 },
+  { id: '1500', label: '1500 m', meters: 1500 },
+  { id: 'mile', label: '1 milha', meters: 1609.34 },
+  { id: '3000', label: '3000 m', meters: 3000 },
+  { id: '5000', label: '5 km', meters: 5000 },
+  { id: '10000', label: '10 km', meters: 10000 },
+  { id: '15000', label: '15 km', meters: 15000 },
+  { id: 'half', label: 'Meia maratona', meters: 21097.5 },
+  { id: 'marathon', label: 'Maratona', meters: 42195 },
+];
+
+const RIEGEL_EXPONENT = 1.06;
+
+const isPositiveNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Daniels & Gilbert: oxygen cost of running at `metersPerMinute`, and the
+// share of VO2max that can be sustained for `minutes`.
+const oxygenCost = (metersPerMinute) =>
+  -4.6 + 0.182258 * metersPerMinute + 0.000104 * metersPerMinute ** 2;
+
+const sustainableFraction = (minutes) =>
+  0.8 +
+  0.1894393 * Math.exp(-0.012778 * minutes) +
+  0.2989558 * Math.exp(-0.1932605 * minutes);
+
+export const computeVDOT = (distanceMeters, timeSeconds) => {
+  if (!isPositiveNumber(distanceMeters) || !isPositiveNumber(timeSeconds)) {
+    return null;
+  }
+  const minutes = timeSeconds / 60;
+  return oxygenCost(distanceMeters / minutes) / sustainableFraction(minutes);
+};
+
+// Inverse of oxygenCost: the speed (m/min) that costs `vo2` ml/kg/min.
+export const speedForVO2 = (vo2) => {
+  const a = 0.000104;
+  const b = 0.182258;
+  const c = -4.6 - vo2;
+  return (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+};
+
+// The race time over `distanceMeters` whose VDOT equals `vdot`. VDOT falls
+// as the time grows, so a bisection between 1 s and 24 h always converges.
+const timeForVDOT = (vdot, distanceMeters) => {
+  let low = 1;
+  let high = 24 * 3600;
+  for (let step = 0; step < 60; step += 1) {
+    const middle = (low + high) / 2;
+    if (computeVDOT(distanceMeters, middle) > vdot) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+};
+
+export const predictTime = ({
+  model,
+  distanceMeters,
+  timeSeconds,
+  targetMeters,
+}) => {
+  if (
+    !isPositiveNumber(distanceMeters) ||
+    !isPositiveNumber(timeSeconds) ||
+    !isPositiveNumber(targetMeters)
+  ) {
+    return null;
+  }
+  if (model === 'vdot') {
+    const vdot = computeVDOT(distanceMeters, timeSeconds);
+    return vdot > 0 ? timeForVDOT(vdot, targetMeters) : null;
+  }
+  return timeSeconds * (targetMeters / distanceMeters) ** RIEGEL_EXPONENT;
+};
+
+// One row per PREDICTION_DISTANCES entry with the predicted time and pace.
+// The reference distance itself is flagged so it can be highlighted.
+export const buildPredictionTable = ({ model, distanceMeters, timeSeconds }) =>
+  PREDICTION_DISTANCES.map((distance) => {
+    const seconds = predictTime({
+      model,
+      distanceMeters,
+      timeSeconds,
+      targetMeters: distance.meters,
+    });
+    return {
+      ...distance,
+      seconds,
+      paceSeconds: seconds ? seconds / (distance.meters / METERS_IN_KM) : null,
+      isReference: Math.abs(distance.meters - distanceMeters) < 1,
+    };
+  });
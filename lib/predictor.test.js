@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildPredictionTable,
+  computeVDOT,
+  predictTime,
+  speedForVO2,
+} from './predictor';
+
+const fromFiveK = (model, targetMeters) =>
+  predictTime({ model, distanceMeters: 5000, timeSeconds: 1200, targetMeters });
+
+describe('computeVDOT', () => {
+  it("matches Daniels' tables", () => {
+    // VDOT 50 runs 5 km in 19:57.
+    expect(computeVDOT(5000, 1197)).toBeCloseTo(50, 1);
+    expect(computeVDOT(5000, 1200)).toBeCloseTo(49.8, 1);
+  });
+
+  it('needs a distance and a time', () => {
+    expect(computeVDOT(0, 1200)).toBeNull();
+    expect(computeVDOT(5000, null)).toBeNull();
+  });
+
+  it('inverts the oxygen cost', () => {
+    // Running at 200 m/min costs 36.0116 ml/kg/min.
+    expect(speedForVO2(36.0116)).toBeCloseTo(200, 6);
+  });
+});
+
+describe('predictTime', () => {
+  it('scales with the Riegel exponent', () => {
+    // 20:00 × 2^1.06
+    expect(fromFiveK('riegel', 10000)).toBeCloseTo(2501.9, 1);
+  });
+
+  it('finds the time with the same VDOT', () => {
+    // About 41:28, next to the tables' 41:21 for VDOT 50.
+    expect(fromFiveK('vdot', 10000)).toBeCloseTo(2487.9, 1);
+    expect(fromFiveK('vdot', 5000)).toBeCloseTo(1200, 3);
+  });
+
+  it('needs a reference and a target', () => {
+    expect(fromFiveK('riegel', 0)).toBeNull();
+    expect(
+      predictTime({ model: 'vdot', distanceMeters: 5000, targetMeters: 10000 })
+    ).toBeNull();
+  });
+});
+
+describe('buildPredictionTable', () => {
+  it('flags the reference distance and gives paces per km', () => {
+    const rows = buildPredictionTable({
+      model: 'riegel',
+      distanceMeters: 5000,
+      timeSeconds: 1200,
+    });
+    const reference = rows.filter((row) => row.isReference);
+    expect(reference.map((row) => row.id)).toEqual(['5000']);
+    expect(reference[0].seconds).toBe(1200);
+    expect(reference[0].paceSeconds).toBe(240);
+  });
+});
@@ -0,0 +1,165 @@
+import { loadJSON, saveJSON } from './storage';
+
+const ROSTER_KEY = 'roster';
+const ROSTER_VERSION = 1;
+
+export const createEmptyRoster = () => ({ athletes: [], groups: [] });
+
+export const loadRoster = () => {
+  const saved = loadJSON(ROSTER_KEY);
+  if (
+    !saved ||
+    saved.version !== ROSTER_VERSION ||
+    !Array.isArray(saved.athletes) ||
+    !Array.isArray(saved.groups)
+  ) {
+    return createEmptyRoster();
+  }
+  // Groups saved before they had a reference pace get an empty one.
+  return {
+    athletes: saved.athletes,
+    groups: saved.groups.map((group) => ({ referencePace: '', ...group })),
+  };
+};
+
+export const saveRoster = (roster) =>
+  saveJSON(ROSTER_KEY, { version: ROSTER_VERSION, ...roster });
+
+const createId = (prefix, now) =>
+  `${prefix}-${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const byName = (a, b) => a.name.localeCompare(b.name, 'pt-BR');
+
+// Athletes and groups keep `referencePace` as typed ("4:30"); it is read with
+// parseDurationInput wherever a number is needed.
+export const addAthlete = (
+  roster,
+  { name, referencePace = '', notes = '' },
+  now
+) => ({
+  ...roster,
+  athletes: [
+    ...roster.athletes,
+    {
+      id: createId('atleta', now),
+      name: name.trim(),
+      referencePace: referencePace.trim(),
+      notes: notes.trim(),
+      createdAt: now,
+    },
+  ].sort(byName),
+});
+
+export const updateAthlete = (roster, id, changes) => ({
+  ...roster,
+  athletes: roster.athletes
+    .map((athlete) =>
+      athlete.id === id ? { ...athlete, ...changes } : athlete
+    )
+    .sort(byName),
+});
+
+// Removing an athlete also takes them out of every group. Archived sessions
+// keep the id, so their history simply stops resolving to a name.
+export const removeAthlete = (roster, id) => ({
+  athletes: roster.athletes.filter((athlete) => athlete.id !== id),
+  groups: roster.groups.map((group) => ({
+    ...group,
+    athleteIds: group.athleteIds.filter((athleteId) => athleteId !== id),
+  })),
+});
+
+export const addRosterGroup = (
+  roster,
+  { name, referencePace = '', notes = '', athleteIds = [] },
+  now
+) => ({
+  ...roster,
+  groups: [
+    ...roster.groups,
+    {
+      id: createId('grupo', now),
+      name: name.trim(),
+      referencePace: referencePace.trim(),
+      notes: notes.trim(),
+      athleteIds,
+      createdAt: now,
+    },
+  ].sort(byName),
+});
+
+export const updateRosterGroup = (roster, id, changes) => ({
+  ...roster,
+  groups: roster.groups
+    .map((group) => (group.id === id ? { ...group, ...changes } : group))
+    .sort(byName),
+});
+
+export const removeRosterGroup = (roster, id) => ({
+  ...roster,
+  groups: roster.groups.filter((group) => group.id !== id),
+});
+
+export const findAthlete = (roster, id) =>
+  roster.athletes.find((athlete) => athlete.id === id) ?? null;
+
+export const groupAthletes = (roster, group) =>
+  (group?.athleteIds ?? [])
+    .map((id) => findAthlete(roster, id))
+    .filter(Boolean);
+
+// Every archived rep run by a group the athlete belonged to, newest first.
+// Reps captured per athlete use that athlete's own finish; a rep they did
+// not finish is skipped. The distance is the one set on the rep, else the
+// group's rep distance, else the plan linked to the timer, when known.
+export const collectAthleteReps = (sessions, athleteId) => {
+  const reps = [];
+  sessions.forEach((session) => {
+    session.groups
+      .filter((group) => group.athleteIds?.includes(athleteId))
+      .forEach((group) => {
+        let repIndex = 0;
+        group.history.forEach((entry) => {
+          if (entry.mode !== 'run') return;
+          const durationMs = entry.finishes
+            ? entry.finishes[athleteId]
+            : entry.duration;
+          if (durationMs == null) {
+            repIndex += 1;
+            return;
+          }
+          reps.push({
+            id: `${session.id}-${group.id}-${repIndex}`,
+            sessionId: session.id,
+            groupName: group.name,
+            rep: repIndex + 1,
+            timestamp: entry.timestamp,
+            durationMs,
+            distanceMeters:
+              entry.distanceMeters ??
+              group.repDistanceMeters ??
+              group.plan?.[repIndex]?.distanceMeters ??
+              null,
+          });
+          repIndex += 1;
+        });
+      });
+  });
+  return reps.sort((a, b) => b.timestamp - a.timestamp);
+};
+
+// Fastest rep per distance, shortest distance first. Reps without a known
+// distance cannot be compared and are left out.
+export const personalBests = (reps) => {
+  const bests = new Map();
+  reps.forEach((rep) => {
+    if (!rep.distanceMeters) return;
+    const current = bests.get(rep.distanceMeters);
+    if (!current || rep.durationMs < current.durationMs) {
+      bests.set(rep.distanceMeters, rep);
+    }
+  });
+  return [...bests.values()].sort(
+    (a, b) => a.distanceMeters - b.distanceMeters
+  );
+};
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addAthlete,
+  addRosterGroup,
+  collectAthleteReps,
+  createEmptyRoster,
+  groupAthletes,
+  personalBests,
+  removeAthlete,
+  updateAthlete,
+} from './roster';
+
+const T0 = 1_700_000_000_000;
+
+const roster = () => {
+  const withAthletes = ['Bruna', ' Ana '].reduce(
+    (current, name, index) => addAthlete(current, { name }, T0 + index),
+    createEmptyRoster()
+  );
+  const [ana, bruna] = withAthletes.athletes;
+  return addRosterGroup(
+    withAthletes,
+    { name: 'Fundo', referencePace: ' 4:30 ', athleteIds: [ana.id, bruna.id] },
+    T0
+  );
+};
+
+describe('roster', () => {
+  it('keeps athletes sorted and trimmed', () => {
+    const current = roster();
+    const { athletes, groups } = current;
+    expect(athletes.map((athlete) => athlete.name)).toEqual(['Ana', 'Bruna']);
+    expect(groups[0].referencePace).toBe('4:30');
+    const renamed = updateAthlete(current, athletes[0].id, { name: 'Carla' });
+    expect(renamed.athletes.map((athlete) => athlete.name)).toEqual([
+      'Bruna',
+      'Carla',
+    ]);
+  });
+
+  it('takes a removed athlete out of every group', () => {
+    const current = roster();
+    const [ana, bruna] = current.athletes;
+    const next = removeAthlete(current, ana.id);
+    expect(next.athletes).toHaveLength(1);
+    expect(next.groups[0].athleteIds).toEqual([bruna.id]);
+    expect(groupAthletes(next, next.groups[0])).toEqual([bruna]);
+  });
+});
+
+describe('collectAthleteReps', () => {
+  const session = {
+    id: 's1',
+    groups: [
+      {
+        id: 1,
+        name: 'Fundo',
+        athleteIds: ['a', 'b'],
+        repDistanceMeters: 400,
+        plan: null,
+        history: [
+          {
+            mode: 'run',
+            duration: 70_000,
+            timestamp: T0 + 70_000,
+            finishes: { a: 68_000, b: 70_000 },
+          },
+          { mode: 'rest', duration: 60_000, timestamp: T0 + 130_000 },
+          {
+            mode: 'run',
+            duration: 75_000,
+            timestamp: T0 + 205_000,
+            finishes: { b: 75_000 },
+          },
+          {
+            mode: 'run',
+            duration: 150_000,
+            timestamp: T0 + 355_000,
+            distanceMeters: 800,
+          },
+        ],
+      },
+    ],
+  };
+
+  it("uses the athlete's own finish and skips reps they missed", () => {
+    const reps = collectAthleteReps([session], 'a');
+    expect(
+      reps.map((rep) => [rep.rep, rep.durationMs, rep.distanceMeters])
+    ).toEqual([
+      [3, 150_000, 800],
+      [1, 68_000, 400],
+    ]);
+  });
+
+  it('keeps the fastest rep per distance', () => {
+    const bests = personalBests([
+      ...collectAthleteReps([session], 'a'),
+      { distanceMeters: 400, durationMs: 66_000 },
+      { distanceMeters: null, durationMs: 10_000 },
+    ]);
+    expect(bests.map((rep) => [rep.distanceMeters, rep.durationMs])).toEqual([
+      [400, 66_000],
+      [800, 150_000],
+    ]);
+  });
+});
@@ -0,0 +1,18 @@
+// The service worker (public/sw.js) only runs in production builds, where
+// asset names are stable; in development it would serve stale hot-reload
+// chunks.
+export const registerServiceWorker = () => {
+  if (
+    typeof window === 'undefined' ||
+    !('serviceWorker' in navigator) ||
+    process.env.NODE_ENV !== 'production'
+  ) {
+    return;
+  }
+  navigator.serviceWorker.register('/sw.js').catch(() => {});
+  // Analytics sent while offline wait in the worker until the connection is
+  // back. Browsers without background sync rely on this nudge.
+  window.addEventListener('online', () => {
+    navigator.serviceWorker.controller?.postMessage('flush-analytics');
+  });
+};
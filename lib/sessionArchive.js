@@ -0,0 +1,87 @@
+import { loadJSON, saveJSON } from './storage';
+import { stopGroup } from './timers';
+
+const ARCHIVE_KEY = 'session-archive';
+
+export const loadArchive = () => {
+  const saved = loadJSON(ARCHIVE_KEY, []);
+  return Array.isArray(saved) ? saved : [];
+};
+
+const saveArchive = (sessions) => saveJSON(ARCHIVE_KEY, sessions);
+
+// Stops any running group at `now` so its current phase is kept, and drops
+// groups that never recorded anything. Returns null when nothing is left.
+export const buildArchivedSession = ({ groups, lapLength, now }) => {
+  const archivedGroups = groups
+    .map((group) => stopGroup(group, now))
+    .filter((group) => group.history.length > 0)
+    .map(
+      ({
+        id,
+        name,
+        history,
+        plan,
+        athleteIds = [],
+        repDistanceMeters = null,
+      }) => ({
+        id,
+        name,
+        history,
+        plan,
+        athleteIds,
+        repDistanceMeters,
+      })
+    );
+
+  if (!archivedGroups.length) return null;
+
+  const startedAt = Math.min(
+    ...archivedGroups.map(
+      (group) => group.history[0].timestamp - group.history[0].duration
+    )
+  );
+
+  return {
+    id: `session-${now}`,
+    startedAt,
+    finishedAt: now,
+    lapLength,
+    groups: archivedGroups,
+  };
+};
+
+export const archiveSession = (session) => {
+  const sessions = [session, ...loadArchive()];
+  saveArchive(sessions);
+  return sessions;
+};
+
+export const deleteArchivedSession = (id) => {
+  const sessions = loadArchive().filter((session) => session.id !== id);
+  saveArchive(sessions);
+  return sessions;
+};
+
+// `date` is a yyyy-mm-dd string as produced by <input type="date">.
+const toDateKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export const filterArchive = (sessions, { query = '', date = '' } = {}) => {
+  const needle = query.trim().toLocaleLowerCase('pt-BR');
+  return sessions.filter((session) => {
+    if (date && toDateKey(session.startedAt) !== date) return false;
+    if (!needle) return true;
+    const dateLabel = new Date(session.startedAt).toLocaleDateString('pt-BR');
+    return (
+      dateLabel.includes(needle) ||
+      session.groups.some((group) =>
+        group.name.toLocaleLowerCase('pt-BR').includes(needle)
+      )
+    );
+  });
+};
@@ -0,0 +1,55 @@
+import { METERS_IN_KM, speedFromPace } from './pace';
+import { METERS_IN_MILE } from './units';
+
+export const SPLIT_DISTANCES = [100, 200, 400];
+
+const KMH_PER_MPH = METERS_IN_MILE / METERS_IN_KM;
+
+export const kmhToMph = (kmh) => kmh / KMH_PER_MPH;
+export const mphToKmh = (mph) => mph * KMH_PER_MPH;
+
+// Speed typed in the unit of `system` (km/h or mph), converted to km/h.
+export const speedToKmh = (value, system) =>
+  value === null ? null : system === 'imperial' ? mphToKmh(value) : value;
+
+export const speedFromKmh = (kmh, system) =>
+  system === 'imperial' ? kmhToMph(kmh) : kmh;
+
+export const SPEED_UNITS = { metric: 'km/h', imperial: 'mph' };
+
+export const formatSpeed = (kmh, system = 'metric') => {
+  if (!kmh) return null;
+  const value = speedFromKmh(kmh, system);
+  return `${value.toLocaleString('pt-BR', {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  })} ${SPEED_UNITS[system]}`;
+};
+
+export const parseSpeedInput = (value) => {
+  if (value === null || value === undefined) return null;
+  const parsed = Number.parseFloat(String(value).trim().replace(',', '.'));
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+// Seconds to cover each of SPLIT_DISTANCES at `secondsPerKm`.
+export const splitTimes = (secondsPerKm) =>
+  SPLIT_DISTANCES.map((meters) => ({
+    meters,
+    seconds: (secondsPerKm * meters) / METERS_IN_KM,
+  }));
+
+// A treadmill has no air resistance, which costs about as much as a 1%
+// incline outdoors (Jones & Doust, 1996). Using the ACSM running equation,
+// VO2 = 0.2·v + 0.9·v·grade, the belt speed that matches the outdoor effort
+// at `inclinePercent` is the outdoor speed scaled by the cost ratio.
+const AIR_RESISTANCE_GRADE = 0.01;
+
+export const treadmillSpeed = (secondsPerKm, inclinePercent) => {
+  const outdoorKmh = speedFromPace(secondsPerKm);
+  const grade = (Number(inclinePercent) || 0) / 100;
+  if (!outdoorKmh || grade < 0) return null;
+  return (
+    (outdoorKmh * (0.2 + 0.9 * AIR_RESISTANCE_GRADE)) / (0.2 + 0.9 * grade)
+  );
+};
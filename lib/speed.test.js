@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatSpeed,
+  kmhToMph,
+  mphToKmh,
+  parseSpeedInput,
+  speedToKmh,
+  splitTimes,
+  treadmillSpeed,
+} from './speed';
+
+describe('speed units', () => {
+  it('converts between km/h and mph', () => {
+    expect(mphToKmh(10)).toBeCloseTo(16.09344, 9);
+    expect(kmhToMph(mphToKmh(7.5))).toBeCloseTo(7.5, 9);
+    expect(speedToKmh(10, 'imperial')).toBeCloseTo(16.09344, 9);
+    expect(speedToKmh(10, 'metric')).toBe(10);
+    expect(speedToKmh(null, 'imperial')).toBeNull();
+  });
+
+  it('formats to one decimal in either unit', () => {
+    expect(formatSpeed(15)).toBe('15,0 km/h');
+    expect(formatSpeed(15, 'imperial')).toBe('9,3 mph');
+    expect(formatSpeed(null)).toBeNull();
+  });
+
+  it('reads a decimal comma', () => {
+    expect(parseSpeedInput('12,5')).toBe(12.5);
+    expect(parseSpeedInput(' 14 ')).toBe(14);
+    expect(parseSpeedInput('0')).toBeNull();
+    expect(parseSpeedInput('rápido')).toBeNull();
+  });
+});
+
+describe('splitTimes', () => {
+  it('times 100, 200 and 400 m', () => {
+    expect(splitTimes(240)).toEqual([
+      { meters: 100, seconds: 24 },
+      { meters: 200, seconds: 48 },
+      { meters: 400, seconds: 96 },
+    ]);
+  });
+});
+
+describe('treadmillSpeed', () => {
+  it('matches the outdoor pace at a 1% incline', () => {
+    expect(treadmillSpeed(240, 1)).toBeCloseTo(15, 9);
+  });
+
+  it('runs faster on a flat belt and slower uphill', () => {
+    expect(treadmillSpeed(240, 0)).toBeCloseTo(15.675, 3);
+    expect(treadmillSpeed(240, 2)).toBeCloseTo(14.381, 3);
+  });
+
+  it('rejects a downhill belt or a missing pace', () => {
+    expect(treadmillSpeed(240, -1)).toBeNull();
+    expect(treadmillSpeed(null, 1)).toBeNull();
+  });
+});
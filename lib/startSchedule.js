@@ -0,0 +1,39 @@
+import { startGroup } from './timers';
+
+// A start for several groups at once. Every group gets its exact start time
+// up front: all at the same moment, or one every `intervalSeconds` in
+// `order` for a wave or handicap start. A countdown delays the first one.
+export const createStartSchedule = (
+  { order, countdownSeconds = 0, intervalSeconds = 0 },
+  now
+) => {
+  const firstAt = now + Math.round(countdownSeconds * 1000);
+  return {
+    starts: order.map((groupId, index) => ({
+      groupId,
+      at: firstAt + Math.round(index * intervalSeconds * 1000),
+    })),
+  };
+};
+
+export const nextScheduledStart = (schedule) => schedule?.starts[0] ?? null;
+
+// Splits off the starts that are due by `now`. What is left is the schedule
+// still pending, or null once every group has gone.
+export const takeDueStarts = (schedule, now) => {
+  const due = schedule.starts.filter((start) => start.at <= now);
+  const pending = schedule.starts.filter((start) => start.at > now);
+  return {
+    due,
+    schedule: pending.length ? { ...schedule, starts: pending } : null,
+  };
+};
+
+// Each group starts at its scheduled time, not when the check ran, so a
+// late frame does not shift the start. Groups already running are left
+// alone.
+export const applyStarts = (groups, starts) =>
+  groups.map((group) => {
+    const start = starts.find((item) => item.groupId === group.id);
+    return start ? startGroup(group, start.at) : group;
+  });
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyStarts,
+  createStartSchedule,
+  nextScheduledStart,
+  takeDueStarts,
+} from './startSchedule';
+import { createTimerGroup, startGroup } from './timers';
+
+const T0 = 1_700_000_000_000;
+
+const startTimes = (schedule) =>
+  schedule.starts.map((start) => [start.groupId, start.at - T0]);
+
+describe('createStartSchedule', () => {
+  it('starts every group together after the countdown', () => {
+    const schedule = createStartSchedule(
+      { order: [1, 2, 3], countdownSeconds: 5 },
+      T0
+    );
+    expect(startTimes(schedule)).toEqual([
+      [1, 5000],
+      [2, 5000],
+      [3, 5000],
+    ]);
+  });
+
+  it('staggers the groups in the given order', () => {
+    const schedule = createStartSchedule(
+      { order: [3, 1, 2], countdownSeconds: 10, intervalSeconds: 30 },
+      T0
+    );
+    expect(startTimes(schedule)).toEqual([
+      [3, 10_000],
+      [1, 40_000],
+      [2, 70_000],
+    ]);
+    expect(nextScheduledStart(schedule)).toEqual({
+      groupId: 3,
+      at: T0 + 10_000,
+    });
+  });
+});
+
+describe('takeDueStarts', () => {
+  const schedule = () =>
+    createStartSchedule({ order: [3, 1, 2], intervalSeconds: 30 }, T0);
+
+  it('splits off the starts that are due', () => {
+    const { due, schedule: pending } = takeDueStarts(schedule(), T0 + 45_000);
+    expect(due.map((start) => start.groupId)).toEqual([3, 1]);
+    expect(nextScheduledStart(pending)).toEqual({
+      groupId: 2,
+      at: T0 + 60_000,
+    });
+  });
+
+  it('ends the schedule once every group has gone', () => {
+    const { due, schedule: pending } = takeDueStarts(schedule(), T0 + 60_000);
+    expect(due).toHaveLength(3);
+    expect(pending).toBeNull();
+    expect(nextScheduledStart(pending)).toBeNull();
+  });
+});
+
+describe('applyStarts', () => {
+  it('starts each group at its scheduled time, not the check time', () => {
+    const running = startGroup(createTimerGroup(3), T0 - 5000);
+    const groups = [createTimerGroup(1), createTimerGroup(2), running];
+    const { due } = takeDueStarts(
+      createStartSchedule({ order: [1, 3], intervalSeconds: 1 }, T0),
+      T0 + 2500
+    );
+    const next = applyStarts(groups, due);
+    expect(next[0]).toMatchObject({ mode: 'run', startTime: T0 });
+    expect(next[1].mode).toBe('idle');
+    expect(next[2]).toBe(running);
+  });
+});
@@ -0,0 +1,46 @@
+// Thin wrapper around localStorage that is safe to call during server
+// rendering and never throws (private mode, quota exceeded, corrupt JSON).
+const STORAGE_PREFIX = 'calculadora-de-pista';
+
+const getStorage = () => {
+  if (typeof window === 'undefined') return null;
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+const prefixed = (key) => `${STORAGE_PREFIX}:${key}`;
+
+export const loadJSON = (key, fallback = null) => {
+  const storage = getStorage();
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(prefixed(key));
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  const storage = getStorage();
+  if (!storage) return false;
+  try {
+    storage.setItem(prefixed(key), JSON.stringify(value));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const removeKey = (key) => {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.removeItem(prefixed(key));
+  } catch (error) {
+    // Nothing to clean up if storage is unavailable.
+  }
+};
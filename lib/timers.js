@@ -0,0 +1,618 @@
+import { METERS_IN_KM, padTime, speedFromPace } from './pace';
+import { loadJSON, removeKey, saveJSON } from './storage';
+
+const TIMER_SESSION_KEY = 'timer-session';
+const TIMER_SESSION_VERSION = 1;
+// A restored session older than this is flagged as stale in the UI.
+export const STALE_SESSION_MS = 6 * 60 * 60 * 1000;
+
+export const formatTimer = (ms) => {
+  if (ms < 0) ms = 0;
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  const centiseconds = Math.floor((ms % 1000) / 10);
+  return `${padTime(minutes)}:${padTime(seconds)}.${padTime(centiseconds)}`;
+};
+
+// Process history into pairs (run + rest)
+export const pairHistory = (history) => {
+  const rows = [];
+  let currentRun = null;
+
+  history.forEach((entry) => {
+    if (entry.mode === 'run') {
+      currentRun = { run: entry, rest: null };
+      rows.push(currentRun);
+    } else if (entry.mode === 'rest' && currentRun) {
+      currentRun.rest = entry;
+      currentRun = null; // Reset current run after pairing
+    } else if (entry.mode === 'rest' && !currentRun) {
+      // Standalone rest (shouldn't happen in normal flow but handle just in case)
+      rows.push({ run: null, rest: entry });
+    }
+  });
+  return rows;
+};
+
+// A rep within 1 s or 2 % of its target (whichever is larger) counts as on
+// target; anything outside is flagged as too fast or too slow.
+const ON_TARGET_TOLERANCE_MS = 1000;
+const ON_TARGET_TOLERANCE_RATIO = 0.02;
+
+export const compareToTarget = (actualMs, targetSeconds) => {
+  if (!targetSeconds || typeof actualMs !== 'number') return null;
+  const targetMs = targetSeconds * 1000;
+  const diffMs = actualMs - targetMs;
+  const tolerance = Math.max(
+    ON_TARGET_TOLERANCE_MS,
+    targetMs * ON_TARGET_TOLERANCE_RATIO
+  );
+  let status = 'on-target';
+  if (diffMs < -tolerance) status = 'fast';
+  if (diffMs > tolerance) status = 'slow';
+  return { targetMs, diffMs, status };
+};
+
+// Matches each run row with the planned rep at the same position. Rows
+// without a run (a stray rest) do not consume a planned rep.
+export const comparePlan = (rows, plan) => {
+  let repIndex = 0;
+  return rows.map((row) => {
+    if (!row.run) return { ...row, planned: null, comparison: null };
+    const planned = plan?.[repIndex] ?? null;
+    repIndex += 1;
+    return {
+      ...row,
+      planned,
+      comparison: planned
+        ? compareToTarget(row.run.duration, planned.timeSeconds)
+        : null,
+    };
+  });
+};
+
+// Distance of a run row: set on the entry by hand, else the group's rep
+// distance, else the distance of the linked plan's rep.
+export const rowDistance = (row, repDistanceMeters = null) =>
+  row.run?.distanceMeters ??
+  repDistanceMeters ??
+  row.planned?.distanceMeters ??
+  null;
+
+// Pace, speed and time per lap of `lapLength` for one run.
+export const runMetrics = (durationMs, distanceMeters, lapLength) => {
+  if (!distanceMeters || !durationMs) return null;
+  const secondsPerKm = durationMs / 1000 / (distanceMeters / METERS_IN_KM);
+  return {
+    secondsPerKm,
+    speedKmh: speedFromPace(secondsPerKm),
+    lapMs: lapLength ? (durationMs * lapLength) / distanceMeters : null,
+  };
+};
+
+// Total distance of the runs with a known distance and their average pace.
+export const summarizeDistance = (rows, repDistanceMeters = null) => {
+  let totalMeters = 0;
+  let runMs = 0;
+  rows.forEach((row) => {
+    const distanceMeters = rowDistance(row, repDistanceMeters);
+    if (!row.run || !distanceMeters) return;
+    totalMeters += distanceMeters;
+    runMs += row.run.duration;
+  });
+  if (!totalMeters) return null;
+  return {
+    totalMeters,
+    secondsPerKm: runMs / 1000 / (totalMeters / METERS_IN_KM),
+  };
+};
+
+export const summarizeDeviation = (comparedRows) => {
+  const diffs = comparedRows
+    .map((row) => row.comparison?.diffMs)
+    .filter((diff) => typeof diff === 'number');
+  if (!diffs.length) return null;
+
+  const mean = diffs.reduce((sum, diff) => sum + diff, 0) / diffs.length;
+  const meanAbs =
+    diffs.reduce((sum, diff) => sum + Math.abs(diff), 0) / diffs.length;
+  const variance =
+    diffs.reduce((sum, diff) => sum + (diff - mean) ** 2, 0) / diffs.length;
+
+  return {
+    count: diffs.length,
+    meanDiffMs: mean,
+    meanAbsDiffMs: meanAbs,
+    stdDevMs: Math.sqrt(variance),
+  };
+};
+
+export const formatSignedSeconds = (ms) => {
+  if (typeof ms !== 'number' || !Number.isFinite(ms)) return '—';
+  const seconds = Math.abs(ms) / 1000;
+  const sign = ms > 0 ? '+' : ms < 0 ? '−' : '±';
+  return `${sign}${seconds.toFixed(1)} s`;
+};
+
+export const createTimerGroup = (id) => ({
+  id,
+  name: `Grupo ${id}`,
+  mode: 'idle', // 'idle' | 'run' | 'rest'
+  startTime: null,
+  // While paused the phase is frozen at this time; resuming shifts
+  // `startTime` by the pause so elapsed time carries on from there.
+  pausedAt: null,
+  // Total time spent paused, so undo can take it off a restored phase.
+  pausedMs: 0,
+  history: [],
+  plan: null,
+  rosterGroupId: null,
+  athleteIds: [],
+  // Individual mode: one finish per athlete for the current rep, in ms
+  // since the rep started. Rest begins once everyone is in, or
+  // `restDelaySeconds` after the first finisher when that is set.
+  individualLaps: false,
+  restDelaySeconds: null,
+  pendingFinishes: {},
+  // Automatic mode: { reps, runSeconds, restSeconds } or null.
+  program: null,
+  // Alert limits in seconds, or null. Without a target of its own the group
+  // uses the linked plan's target for the current rep.
+  targetRepSeconds: null,
+  maxRestSeconds: null,
+  // Distance of every rep in metres, unless a rep sets its own.
+  repDistanceMeters: null,
+});
+
+// A timer for a roster group: its history is attributed to those athletes.
+export const createTimerGroupFromRoster = (id, rosterGroup) => ({
+  ...createTimerGroup(id),
+  name: rosterGroup.name,
+  rosterGroupId: rosterGroup.id,
+  athleteIds: [...rosterGroup.athleteIds],
+});
+
+export const nextGroupId = (groups) =>
+  groups.length > 0 ? Math.max(...groups.map((g) => g.id)) + 1 : 1;
+
+const createEntry = (group, now) => {
+  const entry = {
+    mode: group.mode,
+    duration: now - group.startTime,
+    timestamp: now,
+    id: now + Math.random(),
+  };
+  if (group.mode === 'run' && Object.keys(group.pendingFinishes ?? {}).length) {
+    entry.finishes = group.pendingFinishes;
+  }
+  return entry;
+};
+
+// Laps, stops and history edits can be undone, most recent first. Each
+// snapshot holds everything those actions change.
+const UNDO_LIMIT = 20;
+
+const withUndo = (group, next) => ({
+  ...next,
+  undoStack: [
+    ...(group.undoStack ?? []).slice(-(UNDO_LIMIT - 1)),
+    {
+      history: group.history,
+      mode: group.mode,
+      startTime: group.startTime,
+      pausedAt: group.pausedAt ?? null,
+      pausedMs: group.pausedMs ?? 0,
+      pendingFinishes: group.pendingFinishes,
+    },
+  ],
+});
+
+export const canUndo = (group) => Boolean(group.undoStack?.length);
+
+export const undoGroup = (group) => {
+  if (!canUndo(group)) return group;
+  const { undoStack } = group;
+  const { pausedMs, ...snapshot } = undoStack[undoStack.length - 1];
+  // Pauses since the snapshot do not count in the restored phase, and a
+  // group paused now stays paused.
+  const pausedSince = (group.pausedMs ?? 0) - (pausedMs ?? 0);
+  return {
+    ...group,
+    ...snapshot,
+    startTime:
+      snapshot.startTime === null ? null : snapshot.startTime + pausedSince,
+    pausedAt:
+      snapshot.mode === 'idle' ? null : (group.pausedAt ?? snapshot.pausedAt),
+    undoStack: undoStack.slice(0, -1),
+  };
+};
+
+export const startGroup = (group, now) => {
+  if (group.mode !== 'idle') return group;
+  return { ...group, mode: 'run', startTime: now };
+};
+
+// Records the current phase and toggles between run and rest.
+export const lapGroup = (group, now) => {
+  if (group.mode === 'idle' || group.pausedAt) return group;
+  return withUndo(group, {
+    ...group,
+    history: [...group.history, createEntry(group, now)],
+    mode: group.mode === 'run' ? 'rest' : 'run',
+    startTime: now,
+    pendingFinishes: {},
+  });
+};
+
+// Records one athlete crossing the line. The rep closes (and rest starts)
+// as soon as the last athlete of the group is in.
+export const recordAthleteFinish = (group, athleteId, now) => {
+  if (
+    group.mode !== 'run' ||
+    group.pausedAt ||
+    group.pendingFinishes?.[athleteId] != null
+  ) {
+    return group;
+  }
+  const next = {
+    ...group,
+    pendingFinishes: {
+      ...group.pendingFinishes,
+      [athleteId]: now - group.startTime,
+    },
+  };
+  const allIn = next.athleteIds.every((id) => next.pendingFinishes[id] != null);
+  return allIn ? lapGroup(next, now) : next;
+};
+
+// When the group has a rest delay, the time at which rest should start: the
+// first finish plus the delay. Null when no delay applies yet.
+export const restDueAt = (group) => {
+  const finishes = Object.values(group.pendingFinishes ?? {});
+  if (
+    group.mode !== 'run' ||
+    group.pausedAt ||
+    !group.restDelaySeconds ||
+    !finishes.length
+  ) {
+    return null;
+  }
+  return (
+    group.startTime + Math.min(...finishes) + group.restDelaySeconds * 1000
+  );
+};
+
+// Starts the rest at exactly its due time, so a late check does not stretch
+// the recorded run.
+export const applyRestDelay = (group, now) => {
+  const dueAt = restDueAt(group);
+  return dueAt !== null && now >= dueAt ? lapGroup(group, dueAt) : group;
+};
+
+export const pauseGroup = (group, now) =>
+  group.mode === 'idle' || group.pausedAt ? group : { ...group, pausedAt: now };
+
+export const resumeGroup = (group, now) =>
+  group.pausedAt
+    ? {
+        ...group,
+        startTime: group.startTime + (now - group.pausedAt),
+        pausedAt: null,
+        pausedMs: (group.pausedMs ?? 0) + (now - group.pausedAt),
+      }
+    : group;
+
+// A paused group stops at the moment it was paused.
+export const stopGroup = (group, now) => {
+  if (group.mode === 'idle') return group;
+  const stoppedAt = group.pausedAt ?? now;
+  return withUndo(group, {
+    ...group,
+    history: [...group.history, createEntry(group, stoppedAt)],
+    mode: 'idle',
+    startTime: null,
+    pausedAt: null,
+    pendingFinishes: {},
+  });
+};
+
+export const resetGroup = (group) => ({
+  ...group,
+  mode: 'idle',
+  startTime: null,
+  pausedAt: null,
+  history: [],
+  pendingFinishes: {},
+  undoStack: [],
+});
+
+// History edits. Entries are contiguous, each starting where the previous
+// one ended, and every value changed by hand is marked `edited`.
+const oppositeMode = (mode) => (mode === 'run' ? 'rest' : 'run');
+
+const entryStart = (entry) => entry.timestamp - entry.duration;
+
+const findEntryIndex = (group, entryId) =>
+  group.history.findIndex((entry) => entry.id === entryId);
+
+// Inserting or removing a transition shifts every later phase to the other
+// mode, the one in progress included, so the run/rest pairing stays in step.
+const swapModesFrom = (group, history, index) => ({
+  ...group,
+  history: history.map((entry, i) =>
+    i < index
+      ? entry
+      : { ...entry, mode: oppositeMode(entry.mode), edited: true }
+  ),
+  mode: group.mode === 'idle' ? 'idle' : oppositeMode(group.mode),
+  pendingFinishes: {},
+});
+
+// Moves the end of an entry. The time comes from (or goes to) the phase
+// after it, so the rest of the session keeps its timestamps.
+export const adjustEntry = (group, entryId, durationMs, now) => {
+  const index = findEntryIndex(group, entryId);
+  if (index === -1 || !(durationMs >= 0)) return group;
+  const entry = group.history[index];
+  const deltaMs = Math.round(durationMs) - entry.duration;
+  const following = group.history[index + 1];
+  const isCurrentPhaseNext = !following && group.mode !== 'idle';
+  if (following && following.duration - deltaMs < 0) return group;
+  if (
+    isCurrentPhaseNext &&
+    group.startTime + deltaMs > (group.pausedAt ?? now)
+  ) {
+    return group;
+  }
+
+  const history = group.history.map((item, i) => {
+    if (i === index) {
+      return {
+        ...item,
+        duration: item.duration + deltaMs,
+        timestamp: item.timestamp + deltaMs,
+        edited: true,
+      };
+    }
+    if (i === index + 1) {
+      return { ...item, duration: item.duration - deltaMs, edited: true };
+    }
+    return item;
+  });
+  return withUndo(group, {
+    ...group,
+    history,
+    startTime: isCurrentPhaseNext ? group.startTime + deltaMs : group.startTime,
+  });
+};
+
+// Sets the distance of one rep, or clears it with null.
+export const setEntryDistance = (group, entryId, distanceMeters) => {
+  if (findEntryIndex(group, entryId) === -1) return group;
+  return withUndo(group, {
+    ...group,
+    history: group.history.map((entry) => {
+      if (entry.id !== entryId) return entry;
+      const { distanceMeters: previous, ...rest } = entry;
+      return distanceMeters > 0 ? { ...rest, distanceMeters } : rest;
+    }),
+  });
+};
+
+// Removes an entry without leaving a hole in the timeline: its time goes to
+// the phase before it (for the first entry, to the phase after it) and the
+// later phases swap modes so runs and rests still alternate.
+export const deleteEntry = (group, entryId) => {
+  const index = findEntryIndex(group, entryId);
+  if (index === -1) return group;
+  const entry = group.history[index];
+  const previous = group.history[index - 1];
+
+  if (!previous) {
+    const following = group.history[1];
+    const history = following
+      ? [
+          {
+            ...following,
+            duration: entry.duration + following.duration,
+            edited: true,
+          },
+          ...group.history.slice(2),
+        ]
+      : [];
+    const startTime =
+      following || group.mode === 'idle' ? group.startTime : entryStart(entry);
+    return withUndo(group, swapModesFrom({ ...group, startTime }, history, 0));
+  }
+
+  const extended = {
+    ...previous,
+    duration: previous.duration + entry.duration,
+    timestamp: entry.timestamp,
+    edited: true,
+  };
+  const history = [
+    ...group.history.slice(0, index - 1),
+    extended,
+    ...group.history.slice(index + 1),
+  ];
+  return withUndo(group, swapModesFrom(group, history, index));
+};
+
+// Inserts a missed transition `offsetMs` into the entry: the remainder
+// becomes a phase of the other mode.
+export const splitEntry = (group, entryId, offsetMs) => {
+  const index = findEntryIndex(group, entryId);
+  if (index === -1) return group;
+  const entry = group.history[index];
+  const splitMs = Math.round(offsetMs);
+  if (!(splitMs > 0 && splitMs < entry.duration)) return group;
+
+  const { finishes, ...rest } = entry;
+  const first = {
+    ...entry,
+    duration: splitMs,
+    timestamp: entryStart(entry) + splitMs,
+    edited: true,
+  };
+  const second = {
+    ...rest,
+    mode: oppositeMode(entry.mode),
+    duration: entry.duration - splitMs,
+    id: entry.timestamp + Math.random(),
+    edited: true,
+  };
+  const history = [
+    ...group.history.slice(0, index),
+    first,
+    second,
+    ...group.history.slice(index + 1),
+  ];
+  return withUndo(group, swapModesFrom(group, history, index + 2));
+};
+
+// Removes an extra transition by joining the entry with the phase after
+// it. For the last entry of a running group that is the phase in progress.
+export const mergeWithNext = (group, entryId) => {
+  const index = findEntryIndex(group, entryId);
+  if (index === -1) return group;
+  const entry = group.history[index];
+  const following = group.history[index + 1];
+
+  if (!following) {
+    if (group.mode === 'idle') return group;
+    return withUndo(group, {
+      ...group,
+      history: group.history.slice(0, index),
+      mode: entry.mode,
+      startTime: entryStart(entry),
+      pendingFinishes: entry.finishes ?? {},
+    });
+  }
+
+  const merged = {
+    ...entry,
+    duration: entry.duration + following.duration,
+    timestamp: following.timestamp,
+    edited: true,
+  };
+  if (!merged.finishes && following.finishes) {
+    merged.finishes = following.finishes;
+  }
+  const history = [
+    ...group.history.slice(0, index),
+    merged,
+    ...group.history.slice(index + 2),
+  ];
+  return withUndo(group, swapModesFrom(group, history, index + 1));
+};
+
+const countRuns = (group) =>
+  group.history.filter((entry) => entry.mode === 'run').length;
+
+// When the current phase of a programmed group ends, or null.
+export const programDueAt = (group) => {
+  const { program } = group;
+  if (!program || group.mode === 'idle' || group.pausedAt) return null;
+  const seconds =
+    group.mode === 'run' ? program.runSeconds : program.restSeconds;
+  return group.startTime + seconds * 1000;
+};
+
+export const isLastProgramRep = (group) =>
+  Boolean(group.program) &&
+  group.mode === 'run' &&
+  countRuns(group) + 1 >= group.program.reps;
+
+// Applies every transition that was due by `now`, each at its exact due
+// time, so a check that runs late (background tab, sleeping phone) still
+// records the programmed durations. Stops after the last rep's run.
+export const advanceProgram = (group, now) => {
+  let current = group;
+  let dueAt = programDueAt(current);
+  while (dueAt !== null && now >= dueAt) {
+    current = isLastProgramRep(current)
+      ? stopGroup(current, dueAt)
+      : lapGroup(current, dueAt);
+    dueAt = programDueAt(current);
+  }
+  return current;
+};
+
+// How long before a limit the display starts warning.
+export const LIMIT_WARNING_MS = 5000;
+
+export const currentRepTarget = (group) =>
+  group.targetRepSeconds ?? group.plan?.[countRuns(group)]?.timeSeconds ?? null;
+
+// Live state of the current phase against its limit: the target rep time
+// while running, the max rest while resting. `diffMs` is negative while
+// there is time left. Null when the phase has no limit.
+export const phaseLimit = (group, elapsedMs) => {
+  let limitSeconds = null;
+  if (group.mode === 'run') limitSeconds = currentRepTarget(group);
+  if (group.mode === 'rest') limitSeconds = group.maxRestSeconds;
+  if (!limitSeconds) return null;
+
+  const limitMs = limitSeconds * 1000;
+  const diffMs = elapsedMs - limitMs;
+  let status = 'ok';
+  if (diffMs >= -LIMIT_WARNING_MS) status = 'warning';
+  if (diffMs >= 0) status = 'over';
+  const dueAt = group.pausedAt ? null : group.startTime + limitMs;
+  return { limitMs, dueAt, diffMs, status };
+};
+
+// Audio cues due at `now`: 3-2-1 before every programmed transition and
+// every limit, then an alert once the limit is passed. Keys include the due
+// time, so a transition and a limit falling on the same moment share their
+// countdown; callers play each key once per phase.
+export const phaseCues = (group, now) => {
+  if (group.mode === 'idle' || group.pausedAt) return [];
+  const programDue = programDueAt(group);
+  const limitDue = phaseLimit(group, now - group.startTime)?.dueAt ?? null;
+  const cues = [programDue, limitDue]
+    .filter((due) => due !== null)
+    .map((due) => ({ due, secondsLeft: Math.ceil((due - now) / 1000) }))
+    .filter(({ secondsLeft }) => secondsLeft >= 1 && secondsLeft <= 3)
+    .map(({ due, secondsLeft }) => ({
+      key: `${due}-${secondsLeft}`,
+      cue: 'countdown',
+    }));
+  if (limitDue !== null && limitDue !== programDue && now >= limitDue) {
+    cues.push({ key: `${limitDue}-limit`, cue: 'limit' });
+  }
+  return cues;
+};
+
+export const hasSessionActivity = (groups) =>
+  groups.some((group) => group.mode !== 'idle' || group.history.length > 0);
+
+export const loadTimerSession = () => {
+  const saved = loadJSON(TIMER_SESSION_KEY);
+  if (
+    !saved ||
+    saved.version !== TIMER_SESSION_VERSION ||
+    !Array.isArray(saved.groups) ||
+    !saved.groups.length
+  ) {
+    return null;
+  }
+  return {
+    savedAt: saved.savedAt ?? null,
+    groups: saved.groups.map((group) => ({
+      ...createTimerGroup(group.id),
+      ...group,
+    })),
+  };
+};
+
+export const saveTimerSession = (groups, now = Date.now()) =>
+  saveJSON(TIMER_SESSION_KEY, {
+    version: TIMER_SESSION_VERSION,
+    savedAt: now,
+    groups,
+  });
+
+export const clearTimerSession = () => removeKey(TIMER_SESSION_KEY);
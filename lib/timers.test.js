@@ -0,0 +1,204 @@
+import { describe, expect, it } from 'vitest';
+import {
+  advanceProgram,
+  applyRestDelay,
+  createTimerGroup,
+  deleteEntry,
+  lapGroup,
+  pauseGroup,
+  phaseCues,
+  recordAthleteFinish,
+  resumeGroup,
+  startGroup,
+  undoGroup,
+} from './timers';
+
+const T0 = 1_700_000_000_000;
+
+const durations = (group) =>
+  group.history.map((entry) => [entry.mode, entry.duration]);
+
+describe('advanceProgram', () => {
+  const programmed = (program) =>
+    startGroup({ ...createTimerGroup(1), program }, T0);
+
+  it('records exact durations when checked late', () => {
+    const group = programmed({ reps: 3, runSeconds: 60, restSeconds: 30 });
+    // First check 2 min 50 s in, e.g. after a background tab wakes up.
+    const next = advanceProgram(group, T0 + 170_000);
+    expect(durations(next)).toEqual([
+      ['run', 60_000],
+      ['rest', 30_000],
+      ['run', 60_000],
+    ]);
+    expect(next.mode).toBe('rest');
+    expect(next.startTime).toBe(T0 + 150_000);
+  });
+
+  it('stops after the last run however late the check', () => {
+    const group = programmed({ reps: 2, runSeconds: 60, restSeconds: 30 });
+    const next = advanceProgram(group, T0 + 60 * 60 * 1000);
+    expect(durations(next)).toEqual([
+      ['run', 60_000],
+      ['rest', 30_000],
+      ['run', 60_000],
+    ]);
+    expect(next.history.at(-1).timestamp).toBe(T0 + 150_000);
+    expect(next.mode).toBe('idle');
+  });
+
+  it('leaves the group alone before the phase is due', () => {
+    const group = programmed({ reps: 2, runSeconds: 60, restSeconds: 30 });
+    expect(advanceProgram(group, T0 + 59_999)).toBe(group);
+  });
+});
+
+describe('applyRestDelay', () => {
+  const withAthletes = (restDelaySeconds) =>
+    startGroup(
+      {
+        ...createTimerGroup(1),
+        athleteIds: ['a', 'b'],
+        individualLaps: true,
+        restDelaySeconds,
+      },
+      T0
+    );
+
+  it('starts the rest at its due time when checked late', () => {
+    const group = recordAthleteFinish(withAthletes(20), 'a', T0 + 75_000);
+    const next = applyRestDelay(group, T0 + 140_000);
+    expect(durations(next)).toEqual([['run', 95_000]]);
+    expect(next.history[0].finishes).toEqual({ a: 75_000 });
+    expect(next.mode).toBe('rest');
+    expect(next.startTime).toBe(T0 + 95_000);
+  });
+
+  it('waits until the delay has passed', () => {
+    const group = recordAthleteFinish(withAthletes(20), 'a', T0 + 75_000);
+    expect(applyRestDelay(group, T0 + 94_999)).toBe(group);
+  });
+});
+
+describe('deleteEntry', () => {
+  // Run 60 s, rest 90 s, run 70 s, then a rest in progress.
+  const session = () =>
+    [60_000, 150_000, 220_000].reduce(
+      (group, at) => lapGroup(group, T0 + at),
+      startGroup(createTimerGroup(1), T0)
+    );
+
+  const timeline = (group) =>
+    group.history.map((entry) => [
+      entry.mode,
+      entry.timestamp - entry.duration - T0,
+      entry.timestamp - T0,
+    ]);
+
+  it('gives a deleted rest to the run before it', () => {
+    const group = session();
+    const next = deleteEntry(group, group.history[1].id);
+    expect(timeline(next)).toEqual([
+      ['run', 0, 150_000],
+      ['rest', 150_000, 220_000],
+    ]);
+    expect(next.mode).toBe('run');
+    expect(next.startTime).toBe(T0 + 220_000);
+  });
+
+  it('gives the first entry to the phase after it', () => {
+    const group = session();
+    const next = deleteEntry(group, group.history[0].id);
+    expect(timeline(next)).toEqual([
+      ['run', 0, 150_000],
+      ['rest', 150_000, 220_000],
+    ]);
+    expect(next.mode).toBe('run');
+  });
+
+  it('gives the only entry to the phase in progress', () => {
+    const group = lapGroup(startGroup(createTimerGroup(1), T0), T0 + 60_000);
+    const next = deleteEntry(group, group.history[0].id);
+    expect(next.history).toEqual([]);
+    expect(next.mode).toBe('run');
+    expect(next.startTime).toBe(T0);
+  });
+
+  it('can be undone', () => {
+    const group = session();
+    const next = deleteEntry(group, group.history[1].id);
+    expect(next.undoStack.at(-1).history).toBe(group.history);
+  });
+});
+
+describe('undoGroup', () => {
+  it('does not count a pause in the restored phase', () => {
+    // Run from T0, lap at 60 s, pause the rest for 30 s, then undo the lap.
+    const rest = lapGroup(startGroup(createTimerGroup(1), T0), T0 + 60_000);
+    const paused = pauseGroup(rest, T0 + 70_000);
+    const resumed = resumeGroup(paused, T0 + 100_000);
+    const next = undoGroup(resumed);
+    expect(next.mode).toBe('run');
+    expect(next.history).toEqual([]);
+    // 110 s on the clock, 30 s of them paused.
+    expect(T0 + 110_000 - next.startTime).toBe(80_000);
+  });
+
+  it('keeps a paused group paused', () => {
+    const rest = lapGroup(startGroup(createTimerGroup(1), T0), T0 + 60_000);
+    const next = undoGroup(pauseGroup(rest, T0 + 70_000));
+    expect(next.mode).toBe('run');
+    expect(next.pausedAt).toBe(T0 + 70_000);
+    expect(next.pausedAt - next.startTime).toBe(70_000);
+  });
+});
+
+describe('phaseCues', () => {
+  // Run from T0, rest from 60 s with a 90 s limit.
+  const resting = () =>
+    lapGroup(
+      startGroup({ ...createTimerGroup(1), maxRestSeconds: 90 }, T0),
+      T0 + 60_000
+    );
+  const keys = (group, now) => phaseCues(group, now).map((item) => item.key);
+
+  it('counts down to the limit, then alerts', () => {
+    const group = resting();
+    expect(phaseCues(group, T0 + 147_500)).toEqual([
+      { key: `${T0 + 150_000}-3`, cue: 'countdown' },
+    ]);
+    expect(phaseCues(group, T0 + 149_000)[0].key).toBe(`${T0 + 150_000}-1`);
+    expect(phaseCues(group, T0 + 160_000)).toEqual([
+      { key: `${T0 + 150_000}-limit`, cue: 'limit' },
+    ]);
+  });
+
+  it('stays quiet while paused', () => {
+    expect(
+      phaseCues(pauseGroup(resting(), T0 + 100_000), T0 + 160_000)
+    ).toEqual([]);
+  });
+
+  it('still alerts for a rest restored by undo', () => {
+    const group = resting();
+    const restored = undoGroup(lapGroup(group, T0 + 160_000));
+    expect(restored.startTime).toBe(group.startTime);
+    expect(keys(restored, T0 + 170_000)).toEqual([`${T0 + 150_000}-limit`]);
+  });
+
+  it('lets a programmed transition replace the limit alert', () => {
+    const group = startGroup(
+      {
+        ...createTimerGroup(1),
+        program: { reps: 2, runSeconds: 60, restSeconds: 30 },
+        targetRepSeconds: 60,
+      },
+      T0
+    );
+    expect(keys(group, T0 + 58_500)).toEqual([
+      `${T0 + 60_000}-2`,
+      `${T0 + 60_000}-2`,
+    ]);
+    expect(phaseCues(group, T0 + 60_000)).toEqual([]);
+  });
+});
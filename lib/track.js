@@ -0,0 +1,135 @@
+import { formatDistance } from './units';
+
+export const LANE_COUNT = 8;
+export const LANE_WIDTH_METERS = 1.22;
+
+// World Athletics measures lane 1 at 0.30 m from the kerb and every other
+// lane at 0.20 m from its inner line, so each lane beyond the first adds
+// 2π × (1.22 × (lane − 1) − 0.10) metres over the two bends of a lap.
+// The bends always add up to a full circle, so the extra distance does not
+// depend on the nominal lap length.
+export const laneExtraMeters = (lane) => {
+  if (!lane || lane <= 1) return 0;
+  const radiusGain = LANE_WIDTH_METERS * (lane - 1) - 0.1;
+  return Math.round(2 * Math.PI * radiusGain * 100) / 100;
+};
+
+export const laneLapLength = (lapLength, lane) =>
+  Math.round((lapLength + laneExtraMeters(lane)) * 100) / 100;
+
+export const formatTrackMeters = (meters, system = 'metric') =>
+  formatDistance(meters, system);
+
+// Lane 1 of a standard 400 m track: two 84.39 m straights and two 115.61 m
+// bends. Other lap lengths are treated as a scaled copy of this layout.
+const STANDARD_LAP_METERS = 400;
+const STANDARD_STRAIGHT_METERS = 84.39;
+const STANDARD_BEND_METERS = 115.61;
+
+// Segments in running order, starting at the finish line (end of the home
+// straight): first bend, back straight, second bend, home straight.
+export const laneGeometry = (lapLength, lane = 1) => {
+  const scale = lapLength / STANDARD_LAP_METERS;
+  const bend = STANDARD_BEND_METERS * scale + laneExtraMeters(lane) / 2;
+  const straight = STANDARD_STRAIGHT_METERS * scale;
+  return {
+    lengths: [bend, straight, bend, straight],
+    lap: 2 * bend + 2 * straight,
+  };
+};
+
+// Converts metres run past the finish line into { segment, fraction }, a
+// lane-independent landmark on the oval.
+export const locateOnLap = (meters, geometry) => {
+  let remaining = ((meters % geometry.lap) + geometry.lap) % geometry.lap;
+  for (let segment = 0; segment < geometry.lengths.length; segment += 1) {
+    const length = geometry.lengths[segment];
+    if (remaining < length) return { segment, fraction: remaining / length };
+    remaining -= length;
+  }
+  return { segment: 0, fraction: 0 };
+};
+
+const metersAtLandmark = ({ segment, fraction }, geometry) =>
+  geometry.lengths.slice(0, segment).reduce((sum, length) => sum + length, 0) +
+  fraction * geometry.lengths[segment];
+
+// start: 'lane' stays in lanes for the whole race, 'break' runs the first
+// bend in lanes and then cuts in, 'waterfall' uses one curved start line.
+export const RACE_EVENTS = [
+  { id: '200', distance: 200, start: 'lane' },
+  { id: '400', distance: 400, start: 'lane' },
+  { id: '800', distance: 800, start: 'break' },
+  { id: '1500', distance: 1500, start: 'waterfall' },
+  { id: '3000', distance: 3000, start: 'waterfall' },
+  { id: '5000', distance: 5000, start: 'waterfall' },
+  { id: '10000', distance: 10000, start: 'waterfall' },
+];
+
+export const findRaceEvent = (distanceMeters) =>
+  RACE_EVENTS.find((event) => event.distance === distanceMeters) ?? null;
+
+// Distance of the partial lap run before the first pass of the finish
+// line, e.g. 300 m for the 1500 m.
+export const raceFirstLapMeters = (event, lapLength) =>
+  event.distance > lapLength ? event.distance % lapLength : 0;
+
+// Where a runner in `lane` starts, as a landmark on the oval.
+export const raceStartLandmark = (event, lapLength, lane = 1) => {
+  const lane1 = laneGeometry(lapLength, 1);
+  const lane1Start = (lane1.lap - (event.distance % lane1.lap)) % lane1.lap;
+
+  if (event.start === 'lane') {
+    const geometry = laneGeometry(lapLength, lane);
+    const start =
+      (geometry.lap - (event.distance % geometry.lap)) % geometry.lap;
+    return locateOnLap(start, geometry);
+  }
+
+  if (event.start === 'break') {
+    // The stagger only covers the extra length of the first bend.
+    const geometry = laneGeometry(lapLength, lane);
+    const landmark = locateOnLap(lane1Start, lane1);
+    return locateOnLap(
+      metersAtLandmark(landmark, geometry) + laneExtraMeters(lane) / 2,
+      geometry
+    );
+  }
+
+  return locateOnLap(lane1Start, lane1);
+};
+
+// How far ahead of lane 1 a runner in `lane` starts. Lane races cover the
+// bends in proportion to the share of a lap they run (one bend for 200 m on
+// a 400 m track, both for 400 m).
+export const raceStagger = (event, lapLength, lane) => {
+  if (event.start === 'lane') {
+    const share = Math.min(event.distance / lapLength, 1);
+    return Math.round(laneExtraMeters(lane) * share * 100) / 100;
+  }
+  if (event.start === 'break') return laneExtraMeters(lane) / 2;
+  return 0;
+};
+
+const RACE_START_LABELS = {
+  lane: 'Largada em raias',
+  break: 'Largada em raias até o fim da 1ª curva',
+  waterfall: 'Largada em curva (sem raias)',
+};
+
+export const raceStartLabel = (event) => RACE_START_LABELS[event.start];
+
+// "300 m + 3 voltas" for the 1500 m, "2 voltas" for the 800 m.
+export const describeRaceLaps = (event, lapLength, system = 'metric') => {
+  if (event.distance <= lapLength) {
+    return event.distance === lapLength
+      ? '1 volta'
+      : formatTrackMeters(event.distance, system);
+  }
+  const firstLap = raceFirstLapMeters(event, lapLength);
+  const laps = Math.floor(event.distance / lapLength);
+  const lapsLabel = `${laps} ${laps === 1 ? 'volta' : 'voltas'}`;
+  return firstLap
+    ? `${formatTrackMeters(firstLap, system)} + ${lapsLabel}`
+    : lapsLabel;
+};
@@ -0,0 +1,75 @@
+import { loadJSON } from './storage';
+
+// Everything is computed in metres and seconds per km; these helpers only
+// convert at the edges, when reading inputs and formatting results.
+export const METERS_IN_MILE = 1609.344;
+export const METERS_IN_YARD = 0.9144;
+
+export const UNIT_SYSTEMS = {
+  metric: 'Métrico (km)',
+  imperial: 'Imperial (milhas)',
+};
+
+// The system picked on the calculator, which every page follows.
+export const UNIT_SYSTEM_KEY = 'unit-system';
+
+export const loadUnitSystem = () => {
+  const saved = loadJSON(UNIT_SYSTEM_KEY);
+  return UNIT_SYSTEMS[saved] ? saved : 'metric';
+};
+
+export const DISTANCE_UNITS = {
+  m: { label: 'm', meters: 1 },
+  km: { label: 'km', meters: 1000 },
+  mi: { label: 'mi', meters: METERS_IN_MILE },
+  yd: { label: 'yd', meters: METERS_IN_YARD },
+};
+
+export const DEFAULT_DISTANCE_UNIT = { metric: 'm', imperial: 'mi' };
+
+// Pace is shown per km or per mile depending on the system.
+export const PACE_UNITS = {
+  metric: { label: 'km', meters: 1000 },
+  imperial: { label: 'mi', meters: METERS_IN_MILE },
+};
+
+export const LAP_PRESETS = [
+  { id: '400m', label: '400 m', meters: 400 },
+  { id: '200m', label: '200 m (indoor)', meters: 200 },
+  { id: '440yd', label: '440 yd', meters: 440 * METERS_IN_YARD },
+  { id: '220yd', label: '220 yd', meters: 220 * METERS_IN_YARD },
+];
+
+export const toMeters = (value, unit) =>
+  value === null ? null : value * (DISTANCE_UNITS[unit]?.meters ?? 1);
+
+// Rep distances are typed in metres, or in yards in the imperial system.
+export const REP_DISTANCE_UNIT = { metric: 'm', imperial: 'yd' };
+
+// A distance in metres as input text in `unit`, to one decimal.
+export const formatDistanceInput = (meters, unit) =>
+  meters
+    ? String(Number((meters / (DISTANCE_UNITS[unit]?.meters ?? 1)).toFixed(1)))
+    : '';
+
+// Converts a pace typed per km or per mile into seconds per km.
+export const paceToSecondsPerKm = (seconds, system) =>
+  seconds === null
+    ? null
+    : (seconds * 1000) / (PACE_UNITS[system] ?? PACE_UNITS.metric).meters;
+
+export const paceFromSecondsPerKm = (secondsPerKm, system) =>
+  (secondsPerKm * (PACE_UNITS[system] ?? PACE_UNITS.metric).meters) / 1000;
+
+const formatNumber = (value, maximumFractionDigits) =>
+  value.toLocaleString('pt-BR', { maximumFractionDigits });
+
+// Imperial distances read in yards below a mile and in miles above it,
+// which is how track distances are usually quoted (440 yd, 3,11 mi).
+export const formatDistance = (meters, system = 'metric') => {
+  if (system !== 'imperial') return `${formatNumber(meters, 2)} m`;
+  if (meters < METERS_IN_MILE - 1) {
+    return `${formatNumber(meters / METERS_IN_YARD, 0)} yd`;
+  }
+  return `${formatNumber(meters / METERS_IN_MILE, 2)} mi`;
+};
@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  METERS_IN_MILE,
+  formatDistance,
+  formatDistanceInput,
+  loadUnitSystem,
+  paceFromSecondsPerKm,
+  paceToSecondsPerKm,
+  toMeters,
+} from './units';
+
+describe('distances', () => {
+  it('reads typed values in any unit', () => {
+    expect(toMeters(5, 'km')).toBe(5000);
+    expect(toMeters(440, 'yd')).toBeCloseTo(402.336, 6);
+    expect(toMeters(null, 'mi')).toBeNull();
+  });
+
+  it('writes them back as input text', () => {
+    expect(formatDistanceInput(toMeters(440, 'yd'), 'yd')).toBe('440');
+    expect(formatDistanceInput(METERS_IN_MILE * 3.1, 'mi')).toBe('3.1');
+    expect(formatDistanceInput(null, 'm')).toBe('');
+  });
+
+  it('shows yards below a mile and miles above', () => {
+    expect(formatDistance(1500)).toBe('1.500 m');
+    expect(formatDistance(toMeters(440, 'yd'), 'imperial')).toBe('440 yd');
+    expect(formatDistance(5000, 'imperial')).toBe('3,11 mi');
+  });
+});
+
+describe('paces', () => {
+  it('converts per mile to per km and back', () => {
+    expect(paceToSecondsPerKm(360, 'imperial')).toBeCloseTo(223.7, 1);
+    expect(
+      paceFromSecondsPerKm(paceToSecondsPerKm(360, 'imperial'), 'imperial')
+    ).toBeCloseTo(360, 9);
+    expect(paceToSecondsPerKm(240, 'metric')).toBe(240);
+    expect(paceToSecondsPerKm(null, 'imperial')).toBeNull();
+  });
+});
+
+describe('loadUnitSystem', () => {
+  const withSaved = (value) =>
+    vi.stubGlobal('window', {
+      localStorage: { getItem: () => JSON.stringify(value) },
+    });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reads the saved system', () => {
+    withSaved('imperial');
+    expect(loadUnitSystem()).toBe('imperial');
+  });
+
+  it('falls back to metric', () => {
+    expect(loadUnitSystem()).toBe('metric');
+    withSaved('nautical');
+    expect(loadUnitSystem()).toBe('metric');
+  });
+});
@@ -0,0 +1,34 @@
+// Keeps the screen on until the returned function is called. The browser
+// drops the lock whenever the page is hidden, so it is requested again each
+// time the page becomes visible.
+export const holdWakeLock = () => {
+  if (typeof navigator === 'undefined' || !navigator.wakeLock) {
+    return () => {};
+  }
+  let sentinel = null;
+  let isHeld = true;
+
+  const request = () => {
+    if (document.visibilityState !== 'visible') return;
+    navigator.wakeLock
+      .request('screen')
+      .then((lock) => {
+        if (isHeld) {
+          sentinel = lock;
+        } else {
+          lock.release();
+        }
+      })
+      .catch(() => {});
+  };
+
+  request();
+  document.addEventListener('visibilitychange', request);
+
+  return () => {
+    isHeld = false;
+    document.removeEventListener('visibilitychange', request);
+    sentinel?.release().catch(() => {});
+    sentinel = null;
+  };
+};
@@ -0,0 +1,159 @@
+import {
+  METERS_IN_KM,
+  formatDuration,
+  parseDistanceInput,
+  parseDurationInput,
+} from './pace';
+import {
+  REP_DISTANCE_UNIT,
+  formatDistanceInput,
+  paceFromSecondsPerKm,
+  paceToSecondsPerKm,
+  toMeters,
+} from './units';
+
+let blockSequence = 0;
+
+export const createWorkoutBlock = (overrides = {}) => {
+  blockSequence += 1;
+  return {
+    id: `block-${Date.now()}-${blockSequence}`,
+    sets: '1',
+    reps: '10',
+    distance: '400',
+    targetType: 'time', // 'time' | 'pace'
+    target: '1:25',
+    rest: '90',
+    setRest: '',
+    ...overrides,
+  };
+};
+
+const parseCount = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 0;
+};
+
+// Rep targets and rests are short efforts, so a bare number means seconds.
+const parseShortDuration = (value) => parseDurationInput(value, 1);
+
+// Distances are typed in metres or yards and paces per km or per mile,
+// following the unit system; reps always carry metres and s/km.
+const parseBlockDistance = (block, system) =>
+  toMeters(parseDistanceInput(block.distance), REP_DISTANCE_UNIT[system]);
+
+const resolveRepTarget = (block, distanceMeters, system) => {
+  if (block.targetType === 'pace') {
+    const paceSeconds = paceToSecondsPerKm(
+      parseDurationInput(block.target),
+      system
+    );
+    if (!paceSeconds) return { timeSeconds: null, paceSeconds: null };
+    return {
+      paceSeconds,
+      timeSeconds: paceSeconds * (distanceMeters / METERS_IN_KM),
+    };
+  }
+  const timeSeconds = parseShortDuration(block.target);
+  if (!timeSeconds) return { timeSeconds: null, paceSeconds: null };
+  return {
+    timeSeconds,
+    paceSeconds: timeSeconds / (distanceMeters / METERS_IN_KM),
+  };
+};
+
+// Flattens the blocks into the ordered list of reps an athlete will run.
+// The rest after a rep is the block's rep rest, except after the last rep of
+// a set, which uses the set rest when one is given. The final rep of the
+// whole workout has no rest.
+export const expandWorkout = (blocks, system = 'metric') => {
+  const reps = [];
+
+  blocks.forEach((block, blockIndex) => {
+    const sets = parseCount(block.sets);
+    const repsPerSet = parseCount(block.reps);
+    const distanceMeters = parseBlockDistance(block, system);
+    if (!sets || !repsPerSet || !distanceMeters) return;
+
+    const { timeSeconds, paceSeconds } = resolveRepTarget(
+      block,
+      distanceMeters,
+      system
+    );
+    const repRest = parseShortDuration(block.rest) ?? 0;
+    const setRest = parseShortDuration(block.setRest);
+
+    for (let set = 1; set <= sets; set += 1) {
+      for (let rep = 1; rep <= repsPerSet; rep += 1) {
+        const isLastOfSet = rep === repsPerSet;
+        reps.push({
+          id: `${block.id}-${set}-${rep}`,
+          blockId: block.id,
+          blockIndex,
+          set,
+          rep,
+          distanceMeters,
+          timeSeconds,
+          paceSeconds,
+          restSeconds: isLastOfSet && setRest !== null ? setRest : repRest,
+        });
+      }
+    }
+  });
+
+  if (reps.length) {
+    reps[reps.length - 1].restSeconds = 0;
+  }
+
+  return reps;
+};
+
+export const summarizeWorkout = (reps) => {
+  const totalMeters = reps.reduce((sum, rep) => sum + rep.distanceMeters, 0);
+  const hasAllTargets = reps.every((rep) => rep.timeSeconds);
+  const workSeconds = hasAllTargets
+    ? reps.reduce((sum, rep) => sum + rep.timeSeconds, 0)
+    : null;
+  const restSeconds = reps.reduce((sum, rep) => sum + rep.restSeconds, 0);
+
+  return {
+    repCount: reps.length,
+    totalMeters,
+    workSeconds,
+    restSeconds,
+    totalSeconds: workSeconds === null ? null : workSeconds + restSeconds,
+  };
+};
+
+export const describeBlock = (block, system = 'metric') => {
+  const sets = parseCount(block.sets);
+  const reps = parseCount(block.reps);
+  const distance = parseDistanceInput(block.distance);
+  if (!sets || !reps || !distance) return null;
+  const unit = REP_DISTANCE_UNIT[system];
+  const volume =
+    sets > 1
+      ? `${sets}×(${reps}×${distance} ${unit})`
+      : `${reps}×${distance} ${unit}`;
+  return block.target ? `${volume} @ ${block.target}` : volume;
+};
+
+// Rewrites the typed distances and target paces for another unit system, so
+// switching systems keeps the same workout.
+export const convertWorkoutBlocks = (blocks, from, to) =>
+  blocks.map((block) => {
+    const distanceMeters = parseBlockDistance(block, from);
+    const paceSeconds =
+      block.targetType === 'pace'
+        ? paceToSecondsPerKm(parseDurationInput(block.target), from)
+        : null;
+    return {
+      ...block,
+      distance: distanceMeters
+        ? formatDistanceInput(distanceMeters, REP_DISTANCE_UNIT[to])
+        : block.distance,
+      target: paceSeconds
+        ? (formatDuration(paceFromSecondsPerKm(paceSeconds, to)) ?? '')
+        : block.target,
+    };
+  });
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import {
+  convertWorkoutBlocks,
+  createWorkoutBlock,
+  describeBlock,
+  expandWorkout,
+  summarizeWorkout,
+} from './workout';
+
+describe('expandWorkout', () => {
+  const block = (overrides) =>
+    createWorkoutBlock({ id: 'b', sets: '2', reps: '2', ...overrides });
+
+  it('lists every rep with its rest', () => {
+    const reps = expandWorkout([block({ rest: '60', setRest: '3:00' })]);
+    expect(reps.map((rep) => [rep.id, rep.restSeconds])).toEqual([
+      ['b-1-1', 60],
+      ['b-1-2', 180],
+      ['b-2-1', 60],
+      ['b-2-2', 0],
+    ]);
+  });
+
+  it('uses the rep rest between sets without a set rest', () => {
+    const reps = expandWorkout([block({ rest: '90', setRest: '' })]);
+    expect(reps[1].restSeconds).toBe(90);
+  });
+
+  it('derives the pace from a time target and the time from a pace', () => {
+    const [timed] = expandWorkout([block({ distance: '400', target: '72' })]);
+    expect(timed.timeSeconds).toBe(72);
+    expect(timed.paceSeconds).toBe(180);
+    const [paced] = expandWorkout([
+      block({ distance: '1000', targetType: 'pace', target: '3:20' }),
+    ]);
+    expect(paced.timeSeconds).toBe(200);
+  });
+
+  it('skips blocks missing a count or distance', () => {
+    expect(
+      expandWorkout([block({ reps: '0' }), block({ distance: '' })])
+    ).toEqual([]);
+  });
+});
+
+describe('summarizeWorkout', () => {
+  it('adds up volume, work and rest', () => {
+    const reps = expandWorkout([
+      createWorkoutBlock({ reps: '5', distance: '400', target: '80' }),
+    ]);
+    expect(summarizeWorkout(reps)).toEqual({
+      repCount: 5,
+      totalMeters: 2000,
+      workSeconds: 400,
+      restSeconds: 360,
+      totalSeconds: 760,
+    });
+  });
+
+  it('leaves the time open when a rep has no target', () => {
+    const reps = expandWorkout([createWorkoutBlock({ target: '' })]);
+    expect(summarizeWorkout(reps).totalSeconds).toBeNull();
+  });
+});
+
+describe('describeBlock', () => {
+  it('writes sets × reps × distance @ target', () => {
+    expect(describeBlock(createWorkoutBlock())).toBe('10×400 m @ 1:25');
+    expect(
+      describeBlock(createWorkoutBlock({ sets: '3', reps: '4', target: '' }))
+    ).toBe('3×(4×400 m)');
+  });
+});
+
+describe('imperial workouts', () => {
+  const block = createWorkoutBlock({
+    reps: '2',
+    distance: '440',
+    targetType: 'pace',
+    target: '6:00',
+  });
+
+  it('reads yards and per-mile paces', () => {
+    const [rep] = expandWorkout([block], 'imperial');
+    expect(rep.distanceMeters).toBeCloseTo(402.336, 3);
+    expect(rep.paceSeconds).toBeCloseTo(360 / 1.609344, 3);
+    // A quarter mile at 6:00/mi.
+    expect(rep.timeSeconds).toBeCloseTo(90, 6);
+  });
+
+  it('labels the block in yards', () => {
+    expect(describeBlock(block, 'imperial')).toBe('2×440 yd @ 6:00');
+  });
+
+  it('keeps the same workout when switching systems', () => {
+    const [metric] = convertWorkoutBlocks([block], 'imperial', 'metric');
+    expect(metric.distance).toBe('402.3');
+    expect(metric.target).toBe('3:44');
+    const [back] = convertWorkoutBlocks([metric], 'metric', 'imperial');
+    expect(back.distance).toBe('440');
+    expect(back.target).toBe('6:00');
+  });
+});
@@ -0,0 +1,48 @@
+import { METERS_IN_KM, formatDuration } from './pace';
+import { computeVDOT, speedForVO2 } from './predictor';
+import { PACE_UNITS, paceFromSecondsPerKm } from './units';
+
+// Daniels training intensities as a share of VDOT. Repetition pace sits
+// above VO2max, around current mile race pace.
+export const TRAINING_ZONES = [
+  { id: 'easy', label: 'Leve', from: 0.59, to: 0.74 },
+  { id: 'marathon', label: 'Maratona', from: 0.75, to: 0.84 },
+  { id: 'threshold', label: 'Limiar', from: 0.83, to: 0.88 },
+  { id: 'interval', label: 'Intervalado', from: 0.95, to: 1 },
+  { id: 'repetition', label: 'Repetição', from: 1.05, to: 1.1 },
+];
+
+const paceAtIntensity = (vdot, intensity) =>
+  (60 * METERS_IN_KM) / speedForVO2(vdot * intensity);
+
+// Pace ranges (s/km) for every zone, slowest first within each range.
+// Returns [] when the reference performance is not usable.
+export const computeTrainingZones = ({ distanceMeters, timeSeconds }) => {
+  const vdot = computeVDOT(distanceMeters, timeSeconds);
+  if (!vdot || vdot <= 0) return [];
+  return TRAINING_ZONES.map((zone) => ({
+    id: zone.id,
+    label: zone.label,
+    slowPace: paceAtIntensity(vdot, zone.from),
+    fastPace: paceAtIntensity(vdot, zone.to),
+  }));
+};
+
+// "1:42–1:45", fastest first as coaches read it off a watch.
+export const formatZoneRange = (fastSeconds, slowSeconds) => {
+  const fast = formatDuration(fastSeconds);
+  const slow = formatDuration(slowSeconds);
+  if (!fast || !slow) return '—';
+  return fast === slow ? fast : `${fast}–${slow}`;
+};
+
+export const formatZonePace = (zone, system = 'metric') => {
+  const fast = paceFromSecondsPerKm(zone.fastPace, system);
+  const slow = paceFromSecondsPerKm(zone.slowPace, system);
+  return `${formatZoneRange(fast, slow)} min/${PACE_UNITS[system].label}`;
+};
+
+export const zoneLapRange = (zone, lapLength) => {
+  const share = lapLength / METERS_IN_KM;
+  return formatZoneRange(zone.fastPace * share, zone.slowPace * share);
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import {
+  computeTrainingZones,
+  formatZonePace,
+  formatZoneRange,
+  zoneLapRange,
+} from './zones';
+
+// 5 km in 19:57 is VDOT 50.
+const zones = () =>
+  computeTrainingZones({ distanceMeters: 5000, timeSeconds: 1197 });
+const zone = (id) => zones().find((item) => item.id === id);
+
+describe('computeTrainingZones', () => {
+  it("lands on Daniels' paces for VDOT 50", () => {
+    expect(formatZonePace(zone('threshold'))).toBe('4:15–4:28 min/km');
+    expect(formatZonePace(zone('interval'))).toBe('3:50–4:00 min/km');
+    expect(zoneLapRange(zone('repetition'), 400)).toBe('1:25–1:29');
+  });
+
+  it('gets faster zone by zone', () => {
+    const fastPaces = zones().map((item) => item.fastPace);
+    expect([...fastPaces].sort((a, b) => b - a)).toEqual(fastPaces);
+    zones().forEach((item) => {
+      expect(item.fastPace).toBeLessThan(item.slowPace);
+    });
+  });
+
+  it('returns no zones without a usable reference', () => {
+    expect(computeTrainingZones({ distanceMeters: 5000 })).toEqual([]);
+  });
+});
+
+describe('formatZonePace', () => {
+  it('gives the range per mile', () => {
+    expect(formatZonePace(zone('threshold'), 'imperial')).toBe(
+      '6:51–7:11 min/mi'
+    );
+  });
+});
+
+describe('formatZoneRange', () => {
+  it('collapses equal ends and marks missing ones', () => {
+    expect(formatZoneRange(100, 100)).toBe('1:40');
+    expect(formatZoneRange(null, 100)).toBe('—');
+  });
+});
@@ -1,8 +1,14 @@
 import '../styles/globals.css';
 import { Analytics } from '@vercel/analytics/next';
 import { SpeedInsights } from '@vercel/speed-insights/next';
+import { useEffect } from 'react';
+import { registerServiceWorker } from '../lib/serviceWorker';
 
 function MyApp({ Component, pageProps }) {
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
+
   return (
     <>
       <Component {...pageProps} />
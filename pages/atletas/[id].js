@@ -0,0 +1,131 @@
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useEffect, useMemo, useState } from 'react';
+import { METERS_IN_KM, formatPace, parseDurationInput } from '../../lib/pace';
+import {
+  collectAthleteReps,
+  createEmptyRoster,
+  findAthlete,
+  loadRoster,
+  personalBests,
+} from '../../lib/roster';
+import { loadArchive } from '../../lib/sessionArchive';
+import { formatTimer } from '../../lib/timers';
+import { formatDistance, loadUnitSystem } from '../../lib/units';
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleDateString('pt-BR', { dateStyle: 'medium' });
+
+const repPace = (rep, system) =>
+  rep.distanceMeters
+    ? formatPace(
+        rep.durationMs / 1000 / (rep.distanceMeters / METERS_IN_KM),
+        system
+      )
+    : null;
+
+export default function AthleteProfile() {
+  const router = useRouter();
+  const [roster, setRoster] = useState(createEmptyRoster);
+  const [sessions, setSessions] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [unitSystem, setUnitSystem] = useState('metric');
+
+  useEffect(() => {
+    setRoster(loadRoster());
+    setSessions(loadArchive());
+    setUnitSystem(loadUnitSystem());
+    setIsLoaded(true);
+  }, []);
+
+  const id = String(router.query.id ?? '');
+  const athlete = findAthlete(roster, id);
+  const reps = useMemo(() => collectAthleteReps(sessions, id), [sessions, id]);
+  const bests = useMemo(() => personalBests(reps), [reps]);
+  const groups = roster.groups.filter((group) => group.athleteIds.includes(id));
+
+  if (!isLoaded || !router.isReady) return null;
+
+  return (
+    <main>
+      <header className="hero">
+        <h1>{athlete?.name ?? 'Atleta não encontrado'}</h1>
+        {athlete && (
+          <p className="subtitle">
+            Pace de referência:{' '}
+            {formatPace(
+              parseDurationInput(athlete.referencePace),
+              unitSystem
+            ) ?? '—'}
+            {groups.length > 0 &&
+              ` · ${groups.map((group) => group.name).join(', ')}`}
+          </p>
+        )}
+        {athlete?.notes && <p className="archive-meta">{athlete.notes}</p>}
+        <Link href="/atletas" className="settings-toggle ghost archive-back">
+          ← Voltar para o elenco
+        </Link>
+      </header>
+
+      <article className="card compact">
+        <div className="card-header">
+          <h2>Recordes pessoais</h2>
+          <p>Melhor repetição em cada distância dos treinos planejados.</p>
+        </div>
+        {bests.length ? (
+          <div className="results-grid">
+            {bests.map((rep) => (
+              <div key={rep.distanceMeters} className="result-tile">
+                <p className="result-label">
+                  {formatDistance(rep.distanceMeters, unitSystem)}
+                </p>
+                <p className="result-value">{formatTimer(rep.durationMs)}</p>
+                <p className="result-detail">
+                  {repPace(rep, unitSystem)} · {formatDate(rep.timestamp)}
+                </p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="track-placeholder">
+            Nenhuma repetição com distância conhecida ainda. Vincule um treino
+            ao cronômetro do grupo para registrar a distância.
+          </p>
+        )}
+      </article>
+
+      <article className="card compact">
+        <div className="card-header">
+          <h2>Repetições</h2>
+          <p>{reps.length} registradas nas sessões arquivadas.</p>
+        </div>
+        {reps.length ? (
+          <ul className="athlete-reps">
+            {reps.map((rep) => (
+              <li key={rep.id}>
+                <span>{formatDate(rep.timestamp)}</span>
+                <span>
+                  {rep.groupName} · rep {rep.rep}
+                </span>
+                <span>
+                  {rep.distanceMeters
+                    ? formatDistance(rep.distanceMeters, unitSystem)
+                    : '—'}
+                </span>
+                <strong>{formatTimer(rep.durationMs)}</strong>
+                <span className="workout-rep-pace">
+                  {repPace(rep, unitSystem) ?? ''}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="track-placeholder">
+            Crie um cronômetro a partir de um grupo do elenco e finalize a
+            sessão para ver as repetições aqui.
+          </p>
+        )}
+      </article>
+    </main>
+  );
+}
@@ -0,0 +1,408 @@
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+import {
+  convertPaceInput,
+  formatPace,
+  parseDurationInput,
+} from '../../lib/pace';
+import {
+  addAthlete,
+  addRosterGroup,
+  createEmptyRoster,
+  loadRoster,
+  removeAthlete,
+  removeRosterGroup,
+  saveRoster,
+  updateAthlete,
+  updateRosterGroup,
+} from '../../lib/roster';
+import { PACE_UNITS, loadUnitSystem } from '../../lib/units';
+
+const EMPTY_ATHLETE = { name: '', referencePace: '', notes: '' };
+const EMPTY_GROUP = {
+  name: '',
+  referencePace: '',
+  notes: '',
+  athleteIds: [],
+};
+
+const PACE_PLACEHOLDER = { metric: '04:30', imperial: '07:15' };
+
+// Reference paces are stored per km and typed in the chosen system.
+const toPaceInput = (item, system) => ({
+  ...item,
+  referencePace: convertPaceInput(item.referencePace, 'metric', system),
+});
+
+const fromPaceInput = (fields, system) => ({
+  ...fields,
+  referencePace: convertPaceInput(
+    fields.referencePace.trim(),
+    system,
+    'metric'
+  ),
+});
+
+const PaceField = ({ value, unitSystem, onChange }) => (
+  <label>
+    <span>
+      Pace de referência{' '}
+      <span className="unit">(mm:ss / {PACE_UNITS[unitSystem].label})</span>
+    </span>
+    <input
+      type="text"
+      placeholder={PACE_PLACEHOLDER[unitSystem]}
+      value={value}
+      onChange={onChange}
+    />
+  </label>
+);
+
+const toggleId = (ids, id) =>
+  ids.includes(id) ? ids.filter((item) => item !== id) : [...ids, id];
+
+const AthleteForm = ({
+  initial,
+  unitSystem,
+  submitLabel,
+  onSubmit,
+  onCancel,
+}) => {
+  const [fields, setFields] = useState(initial);
+  const update = (field) => (event) =>
+    setFields((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!fields.name.trim()) return;
+    onSubmit(fields);
+    setFields(initial);
+  };
+
+  return (
+    <form className="form-grid roster-form" onSubmit={handleSubmit}>
+      <label>
+        <span>Nome</span>
+        <input
+          type="text"
+          value={fields.name}
+          onChange={update('name')}
+          required
+        />
+      </label>
+      <PaceField
+        value={fields.referencePace}
+        unitSystem={unitSystem}
+        onChange={update('referencePace')}
+      />
+      <label>
+        <span>Observações</span>
+        <input type="text" value={fields.notes} onChange={update('notes')} />
+      </label>
+      <div className="roster-form-actions">
+        <button type="submit" className="settings-toggle">
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            className="settings-toggle ghost"
+            onClick={onCancel}
+          >
+            Cancelar
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const GroupForm = ({
+  initial,
+  athletes,
+  unitSystem,
+  submitLabel,
+  onSubmit,
+  onCancel,
+}) => {
+  const [fields, setFields] = useState(initial);
+  const update = (field) => (event) =>
+    setFields((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!fields.name.trim()) return;
+    onSubmit(fields);
+    setFields(initial);
+  };
+
+  return (
+    <form className="roster-form" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <label>
+          <span>Nome do grupo</span>
+          <input
+            type="text"
+            value={fields.name}
+            onChange={update('name')}
+            required
+          />
+        </label>
+        <PaceField
+          value={fields.referencePace}
+          unitSystem={unitSystem}
+          onChange={update('referencePace')}
+        />
+        <label>
+          <span>Observações</span>
+          <input type="text" value={fields.notes} onChange={update('notes')} />
+        </label>
+      </div>
+      {athletes.length ? (
+        <fieldset className="roster-members">
+          <legend>Atletas</legend>
+          {athletes.map((athlete) => (
+            <label key={athlete.id} className="roster-member">
+              <input
+                type="checkbox"
+                checked={fields.athleteIds.includes(athlete.id)}
+                onChange={() =>
+                  setFields((prev) => ({
+                    ...prev,
+                    athleteIds: toggleId(prev.athleteIds, athlete.id),
+                  }))
+                }
+              />
+              {athlete.name}
+            </label>
+          ))}
+        </fieldset>
+      ) : (
+        <p className="track-placeholder">
+          Cadastre atletas para adicioná-los ao grupo.
+        </p>
+      )}
+      <div className="roster-form-actions">
+        <button type="submit" className="settings-toggle">
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            className="settings-toggle ghost"
+            onClick={onCancel}
+          >
+            Cancelar
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default function Roster() {
+  const [roster, setRoster] = useState(createEmptyRoster);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [editingAthleteId, setEditingAthleteId] = useState(null);
+  const [editingGroupId, setEditingGroupId] = useState(null);
+  const [unitSystem, setUnitSystem] = useState('metric');
+
+  useEffect(() => {
+    setRoster(loadRoster());
+    setUnitSystem(loadUnitSystem());
+    setIsLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (isLoaded) saveRoster(roster);
+  }, [roster, isLoaded]);
+
+  const handleRemoveAthlete = (athlete) => {
+    if (!window.confirm(`Remover ${athlete.name} do elenco?`)) return;
+    setRoster((prev) => removeAthlete(prev, athlete.id));
+  };
+
+  const handleRemoveGroup = (group) => {
+    if (!window.confirm(`Remover o grupo ${group.name}?`)) return;
+    setRoster((prev) => removeRosterGroup(prev, group.id));
+  };
+
+  const athleteName = (id) =>
+    roster.athletes.find((athlete) => athlete.id === id)?.name;
+
+  return (
+    <main>
+      <header className="hero">
+        <h1>Elenco</h1>
+        <p className="subtitle">
+          Cadastre atletas e grupos de treino para usar nos cronômetros e
+          acompanhar os tempos de cada um.
+        </p>
+        <Link href="/" className="settings-toggle ghost archive-back">
+          ← Voltar para a calculadora
+        </Link>
+      </header>
+
+      <article className="card compact">
+        <div className="card-header">
+          <h2>Atletas</h2>
+          <p>{roster.athletes.length} cadastrados</p>
+        </div>
+        <AthleteForm
+          initial={EMPTY_ATHLETE}
+          unitSystem={unitSystem}
+          submitLabel="+ Adicionar atleta"
+          onSubmit={(fields) =>
+            setRoster((prev) =>
+              addAthlete(prev, fromPaceInput(fields, unitSystem), Date.now())
+            )
+          }
+        />
+        <ul className="roster-list">
+          {roster.athletes.map((athlete) =>
+            athlete.id === editingAthleteId ? (
+              <li key={athlete.id} className="roster-item editing">
+                <AthleteForm
+                  initial={toPaceInput(athlete, unitSystem)}
+                  unitSystem={unitSystem}
+                  submitLabel="Salvar"
+                  onSubmit={(fields) => {
+                    setRoster((prev) =>
+                      updateAthlete(prev, athlete.id, {
+                        name: fields.name.trim(),
+                        referencePace: fromPaceInput(fields, unitSystem)
+                          .referencePace,
+                        notes: fields.notes.trim(),
+                      })
+                    );
+                    setEditingAthleteId(null);
+                  }}
+                  onCancel={() => setEditingAthleteId(null)}
+                />
+              </li>
+            ) : (
+              <li key={athlete.id} className="roster-item">
+                <div>
+                  <Link href={`/atletas/${athlete.id}`} className="roster-name">
+                    {athlete.name}
+                  </Link>
+                  <p className="archive-meta">
+                    {formatPace(
+                      parseDurationInput(athlete.referencePace),
+                      unitSystem
+                    ) ?? 'Sem pace de referência'}
+                    {athlete.notes && ` · ${athlete.notes}`}
+                  </p>
+                </div>
+                <div className="session-restored-actions">
+                  <button
+                    type="button"
+                    className="settings-toggle ghost"
+                    onClick={() => setEditingAthleteId(athlete.id)}
+                  >
+                    Editar
+                  </button>
+                  <button
+                    type="button"
+                    className="settings-toggle ghost"
+                    onClick={() => handleRemoveAthlete(athlete)}
+                  >
+                    Remover
+                  </button>
+                </div>
+              </li>
+            )
+          )}
+        </ul>
+      </article>
+
+      <article className="card compact">
+        <div className="card-header">
+          <h2>Grupos de treino</h2>
+          <p>
+            Crie um cronômetro a partir de um grupo para atribuir as repetições
+            aos seus atletas.
+          </p>
+        </div>
+        <GroupForm
+          initial={EMPTY_GROUP}
+          athletes={roster.athletes}
+          unitSystem={unitSystem}
+          submitLabel="+ Adicionar grupo"
+          onSubmit={(fields) =>
+            setRoster((prev) =>
+              addRosterGroup(
+                prev,
+                fromPaceInput(fields, unitSystem),
+                Date.now()
+              )
+            )
+          }
+        />
+        <ul className="roster-list">
+          {roster.groups.map((group) =>
+            group.id === editingGroupId ? (
+              <li key={group.id} className="roster-item editing">
+                <GroupForm
+                  initial={toPaceInput(group, unitSystem)}
+                  athletes={roster.athletes}
+                  unitSystem={unitSystem}
+                  submitLabel="Salvar"
+                  onSubmit={(fields) => {
+                    setRoster((prev) =>
+                      updateRosterGroup(prev, group.id, {
+                        name: fields.name.trim(),
+                        referencePace: fromPaceInput(fields, unitSystem)
+                          .referencePace,
+                        notes: fields.notes.trim(),
+                        athleteIds: fields.athleteIds,
+                      })
+                    );
+                    setEditingGroupId(null);
+                  }}
+                  onCancel={() => setEditingGroupId(null)}
+                />
+              </li>
+            ) : (
+              <li key={group.id} className="roster-item">
+                <div>
+                  <span className="roster-name">{group.name}</span>
+                  <p className="archive-meta">
+                    {group.athleteIds
+                      .map(athleteName)
+                      .filter(Boolean)
+                      .join(', ') || 'Nenhum atleta'}
+                    {group.referencePace &&
+                      ` · ${
+                        formatPace(
+                          parseDurationInput(group.referencePace),
+                          unitSystem
+                        ) ?? group.referencePace
+                      }`}
+                    {group.notes && ` · ${group.notes}`}
+                  </p>
+                </div>
+                <div className="session-restored-actions">
+                  <button
+                    type="button"
+                    className="settings-toggle ghost"
+                    onClick={() => setEditingGroupId(group.id)}
+                  >
+                    Editar
+                  </button>
+                  <button
+                    type="button"
+                    className="settings-toggle ghost"
+                    onClick={() => handleRemoveGroup(group)}
+                  >
+                    Remover
+                  </button>
+                </div>
+              </li>
+            )
+          )}
+        </ul>
+      </article>
+    </main>
+  );
+}
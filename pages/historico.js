@@ -0,0 +1,227 @@
+import Link from 'next/link';
+import { useEffect, useMemo, useState } from 'react';
+import { formatMeters } from '../lib/pace';
+import { parseSessionImport } from '../lib/exportHistory';
+import {
+  archiveSession,
+  deleteArchivedSession,
+  filterArchive,
+  loadArchive,
+} from '../lib/sessionArchive';
+import { createEmptyRoster, groupAthletes, loadRoster } from '../lib/roster';
+import { pairHistory } from '../lib/timers';
+import { loadUnitSystem } from '../lib/units';
+import ExportMenu from '../components/ExportMenu';
+import HistoryTable from '../components/HistoryTable';
+import SessionAnalytics from '../components/SessionAnalytics';
+
+const formatSessionDate = (timestamp) =>
+  new Date(timestamp).toLocaleString('pt-BR', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+  });
+
+const countReps = (group) =>
+  group.history.filter((entry) => entry.mode === 'run').length;
+
+const ArchivedSession = ({
+  session,
+  roster,
+  unitSystem,
+  onClose,
+  onDelete,
+}) => (
+  <article className="card compact archive-detail">
+    <div className="card-header track-header">
+      <div>
+        <h2>{formatSessionDate(session.startedAt)}</h2>
+        <p>
+          {session.groups.length} grupos · volta de{' '}
+          {formatMeters(session.lapLength)}
+        </p>
+      </div>
+      <div className="session-restored-actions">
+        <button type="button" className="settings-toggle" onClick={onClose}>
+          Fechar
+        </button>
+        <button
+          type="button"
+          className="settings-toggle ghost"
+          onClick={() => onDelete(session.id)}
+        >
+          Excluir
+        </button>
+      </div>
+    </div>
+
+    <SessionAnalytics groups={session.groups} />
+
+    <div className="timer-grid archive-groups">
+      {session.groups.map((group) => (
+        <div key={group.id} className="archive-group">
+          <h3>{group.name}</h3>
+          <p className="archive-meta">
+            {pairHistory(group.history).length} linhas · {countReps(group)}{' '}
+            repetições
+          </p>
+          <HistoryTable
+            history={group.history}
+            plan={group.plan}
+            athletes={groupAthletes(roster, group)}
+            repDistanceMeters={group.repDistanceMeters}
+            lapLength={session.lapLength}
+            unitSystem={unitSystem}
+          />
+        </div>
+      ))}
+    </div>
+
+    <div className="timer-export-all">
+      <span>Exportar sessão:</span>
+      <ExportMenu
+        groups={session.groups}
+        lapLength={session.lapLength}
+        filename="sessao"
+      />
+    </div>
+  </article>
+);
+
+export default function History() {
+  const [sessions, setSessions] = useState([]);
+  const [query, setQuery] = useState('');
+  const [date, setDate] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [importError, setImportError] = useState('');
+  const [roster, setRoster] = useState(createEmptyRoster);
+  const [unitSystem, setUnitSystem] = useState('metric');
+
+  useEffect(() => {
+    setSessions(loadArchive());
+    setRoster(loadRoster());
+    setUnitSystem(loadUnitSystem());
+  }, []);
+
+  const filteredSessions = useMemo(
+    () => filterArchive(sessions, { query, date }),
+    [sessions, query, date]
+  );
+
+  const selectedSession =
+    sessions.find((session) => session.id === selectedId) ?? null;
+
+  const handleDelete = (id) => {
+    if (!window.confirm('Excluir esta sessão do histórico?')) return;
+    setSessions(deleteArchivedSession(id));
+    if (selectedId === id) setSelectedId(null);
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const session = parseSessionImport(await file.text());
+      setSessions(archiveSession(session));
+      setSelectedId(session.id);
+      setImportError('');
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <main>
+      <header className="hero">
+        <h1>Histórico de Sessões</h1>
+        <p className="subtitle">
+          Consulte os treinos finalizados nos cronômetros, com as corridas e
+          descansos de cada grupo.
+        </p>
+        <Link href="/" className="settings-toggle ghost archive-back">
+          ← Voltar para a calculadora
+        </Link>
+      </header>
+
+      <article className="card compact">
+        <div className="form-grid archive-filters">
+          <label>
+            <span>Buscar por grupo ou data</span>
+            <input
+              type="search"
+              placeholder="Grupo 1, 12/03/2025…"
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+            />
+          </label>
+          <label>
+            <span>Data</span>
+            <input
+              type="date"
+              value={date}
+              onChange={(event) => setDate(event.target.value)}
+            />
+          </label>
+        </div>
+        <div className="archive-import">
+          <label className="settings-toggle ghost">
+            Importar JSON
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              hidden
+            />
+          </label>
+          {importError && <p className="archive-error">{importError}</p>}
+        </div>
+      </article>
+
+      {selectedSession && (
+        <ArchivedSession
+          session={selectedSession}
+          roster={roster}
+          unitSystem={unitSystem}
+          onClose={() => setSelectedId(null)}
+          onDelete={handleDelete}
+        />
+      )}
+
+      {filteredSessions.length ? (
+        <ul className="archive-list">
+          {filteredSessions.map((session) => (
+            <li key={session.id}>
+              <button
+                type="button"
+                className={`archive-item ${
+                  session.id === selectedId ? 'active' : ''
+                }`}
+                onClick={() => setSelectedId(session.id)}
+              >
+                <span className="archive-date">
+                  {formatSessionDate(session.startedAt)}
+                </span>
+                <span className="archive-meta">
+                  {session.groups.map((group) => group.name).join(', ')}
+                </span>
+                <span className="archive-meta">
+                  {session.groups.reduce(
+                    (sum, group) => sum + countReps(group),
+                    0
+                  )}{' '}
+                  repetições
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="track-placeholder archive-empty">
+          {sessions.length
+            ? 'Nenhuma sessão encontrada para esta busca.'
+            : 'Nenhuma sessão arquivada ainda. Use "Finalizar Sessão" nos cronômetros.'}
+        </p>
+      )}
+    </main>
+  );
+}
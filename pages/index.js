@@ -1,657 +1,241 @@
-import { useMemo, useState, useEffect } from 'react';
-
-const DEFAULT_LAP_METERS = 400;
-const METERS_IN_KM = 1000;
-const TRACK_PATH =
-  'M110 10H190Q210 10 210 35V85Q210 110 190 110H30Q10 110 10 85V35Q10 10 30 10Z';
-const TRACK_LANE_PATH =
-  'M110 22H180Q196 22 196 38V82Q196 98 180 98H40Q24 98 24 82V38Q24 22 40 22Z';
-const TRACK_INFIELD_PATH =
-  'M110 30H170Q188 30 188 48V72Q188 90 170 90H50Q32 90 32 72V48Q32 30 50 30Z';
-
-const padTime = (value) => String(value).padStart(2, '0');
-
-const parseDurationInput = (value) => {
-  if (!value) return null;
-  const trimmed = value.trim();
-  if (!trimmed) return null;
-
-  if (/^\d+(\.\d+)?$/.test(trimmed)) {
-    return parseFloat(trimmed) * 60;
-  }
-
-  const segments = trimmed.split(':').map((part) => Number(part));
-  if (segments.some((segment) => Number.isNaN(segment))) {
-    return null;
-  }
-
-  if (segments.length === 3) {
-    const [hours, minutes, seconds] = segments;
-    return hours * 3600 + minutes * 60 + seconds;
-  }
-
-  if (segments.length === 2) {
-    const [minutes, seconds] = segments;
-    return minutes * 60 + seconds;
-  }
-
-  return Number.isFinite(Number(trimmed)) ? Number(trimmed) : null;
-};
-
-const formatDuration = (seconds) => {
-  if (!seconds || !Number.isFinite(seconds) || seconds <= 0) {
-    return null;
-  }
-  const rounded = Math.round(seconds);
-  const hours = Math.floor(rounded / 3600);
-  const minutes = Math.floor((rounded % 3600) / 60);
-  const secs = rounded % 60;
-
-  if (hours > 0) {
-    return `${hours}:${padTime(minutes)}:${padTime(secs)}`;
-  }
-
-  return `${minutes}:${padTime(secs)}`;
-};
-
-const formatPace = (secondsPerKm) => {
-  if (!secondsPerKm || !Number.isFinite(secondsPerKm) || secondsPerKm <= 0) {
-    return null;
-  }
-  const rounded = Math.round(secondsPerKm);
-  const minutes = Math.floor(rounded / 60);
-  const seconds = rounded % 60;
-  return `${minutes}:${padTime(seconds)} min/km`;
-};
-
-const formatMeters = (value) => {
-  if (!value && value !== 0) return '—';
-  return `${value.toLocaleString('pt-BR')} m`;
-};
-
-const buildRoundedTrackPath = ({ x, y, width, height, rx }) => {
-  const cx = x + width / 2;
-  const right = x + width;
-  const bottom = y + height;
-  const leftCurveStart = x + rx;
-  const leftCurveEnd = x + rx;
-  const rightCurveStart = right - rx;
-  const rightCurveEnd = right - rx;
-  const ry = rx;
-  return `M${cx} ${y} H${leftCurveStart} A${rx} ${ry} 0 0 0 ${leftCurveEnd} ${bottom} H${rightCurveStart} A${rx} ${ry} 0 0 0 ${rightCurveEnd} ${y} H${cx}`;
-};
-
-const RUNNER_LANE_OFFSET = 91;
-const RUNNER_PATH_BOUNDS = {
-  x: 74 + RUNNER_LANE_OFFSET,
-  y: 54 + RUNNER_LANE_OFFSET,
-  width: 852 - RUNNER_LANE_OFFSET * 2,
-  height: 492 - RUNNER_LANE_OFFSET * 2,
-  rx: 246 - RUNNER_LANE_OFFSET,
-};
-
-const TRACK_PROGRESS_PATH = buildRoundedTrackPath(RUNNER_PATH_BOUNDS);
-
-const TrackVisual = ({ lapData, lapLength }) => {
-  const progress =
-    lapData && lapData.progress === 0 && lapData.lapCount > 0
-      ? 1
-      : (lapData?.progress ?? 0);
-  const lapLayers = lapData ? Math.min(lapData.fullLaps, 6) : 0;
+import { useRouter } from 'next/router';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  DEFAULT_LAP_METERS,
+  METERS_IN_KM,
+  computeLapData,
+  computeLapSplits,
+  formatDuration,
+  formatPace,
+  formatPacingValue,
+  parseDistanceInput,
+  paceFromSpeed,
+  parseDurationInput,
+  parsePacingStrategy,
+  solveEffort,
+} from '../lib/pace';
+import {
+  SPEED_UNITS,
+  formatSpeed,
+  parseSpeedInput,
+  speedFromKmh,
+  speedToKmh,
+} from '../lib/speed';
+import {
+  LANE_COUNT,
+  RACE_EVENTS,
+  findRaceEvent,
+  formatTrackMeters,
+  laneLapLength,
+  raceFirstLapMeters,
+} from '../lib/track';
+import {
+  isSameQuery,
+  parseCalculatorQuery,
+  serializeCalculatorState,
+} from '../lib/calculatorQuery';
+import { loadJSON, saveJSON } from '../lib/storage';
+import {
+  DEFAULT_DISTANCE_UNIT,
+  DISTANCE_UNITS,
+  LAP_PRESETS,
+  METERS_IN_MILE,
+  METERS_IN_YARD,
+  PACE_UNITS,
+  UNIT_SYSTEMS,
+  UNIT_SYSTEM_KEY,
+  formatDistance,
+  paceFromSecondsPerKm,
+  paceToSecondsPerKm,
+  toMeters,
+} from '../lib/units';
+import {
+  convertWorkoutBlocks,
+  createWorkoutBlock,
+  expandWorkout,
+} from '../lib/workout';
+import LapSplits from '../components/LapSplits';
+import PacingStrategyPicker from '../components/PacingStrategyPicker';
+import RacePredictor from '../components/RacePredictor';
+import SpeedConversions from '../components/SpeedConversions';
+import TrackVisual from '../components/TrackVisual';
+import TrainingZones from '../components/TrainingZones';
+import TimerManager from '../components/TimerManager';
+import WorkoutBuilder from '../components/WorkoutBuilder';
+
+// Typing pauses this long before the URL (and browser history) catches up.
+const URL_UPDATE_DELAY_MS = 600;
 
-  return (
-    <div className="track-visual">
-      <svg
-        viewBox="0 0 1000 600"
-        preserveAspectRatio="xMidYMid meet"
-        role="img"
-        aria-label="Visual da pista de atletismo"
-      >
-        <defs>
-          <mask id="trackMask">
-            <rect width="1000" height="600" fill="white" />
-            <rect
-              x="172"
-              y="152"
-              width="656"
-              height="296"
-              rx="148"
-              fill="black"
-            />
-          </mask>
-        </defs>
-        <rect
-          x="120"
-          y="90"
-          width="760"
-          height="420"
-          rx="190"
-          className="track-grass"
-        />
-        <g mask="url(#trackMask)">
-          <rect
-            x="60"
-            y="40"
-            width="880"
-            height="520"
-            rx="260"
-            className="track-fill"
-          />
-        </g>
-        <rect
-          x="60"
-          y="40"
-          width="880"
-          height="520"
-          rx="260"
-          className="track-border"
-        />
-        <rect
-          x="172"
-          y="152"
-          width="656"
-          height="296"
-          rx="148"
-          className="track-border"
-        />
-        <g className="track-lane-group">
-          {[0, 14, 28, 42, 56, 70, 84].map((offset) => (
-            <rect
-              key={`lane-${offset}`}
-              x={74 + offset}
-              y={54 + offset}
-              width={852 - offset * 2}
-              height={492 - offset * 2}
-              rx={246 - offset}
-              className="track-lane-line"
-            />
-          ))}
-        </g>
-        {Array.from({ length: lapLayers }).map((_, index) => (
-          <path
-            key={`lap-layer-${index}`}
-            pathLength="1"
-            className="track-complete"
-            d={TRACK_PROGRESS_PATH}
-            style={{ opacity: Math.max(0.2, 0.65 - index * 0.1) }}
-          />
-        ))}
-        {progress > 0 && (
-          <path
-            pathLength="1"
-            className="track-progress"
-            d={TRACK_PROGRESS_PATH}
-            style={{
-              strokeDasharray: `${progress} ${1 - progress}`,
-              strokeDashoffset: 0,
-            }}
-          />
-        )}
-      </svg>
-      <div className="track-details">
-        {lapData ? (
-          <>
-            <p className="track-count">
-              <strong>{lapData.lapCount.toFixed(2)}</strong> voltas no total
-            </p>
-            <p className="track-extra">
-              {lapData.fullLaps} voltas completas e {lapData.remainderMeters} m
-              restantes
-            </p>
-          </>
-        ) : (
-          <p className="track-placeholder">
-            Informe uma distância para ver quantas voltas ela representa.
-          </p>
-        )}
-      </div>
-      {lapData?.fullLaps > 0 && (
-        <div className="lap-markers">
-          {Array.from({
-            length: Math.min(lapData.fullLaps, 8),
-          }).map((_, index) => (
-            <span key={`lap-marker-${index}`}>{index + 1}</span>
-          ))}
-          {lapData.fullLaps > 8 && (
-            <span className="lap-marker-extra">+{lapData.fullLaps - 8}</span>
-          )}
-        </div>
-      )}
-    </div>
+export default function Home() {
+  const router = useRouter();
+  const lastQueryRef = useRef(null);
+  const [isHydrated, setIsHydrated] = useState(false);
+  const [linkFeedback, setLinkFeedback] = useState('');
+  const [unitSystem, setUnitSystem] = useState('metric');
+  const [distance, setDistance] = useState('');
+  const [distanceUnit, setDistanceUnit] = useState(
+    DEFAULT_DISTANCE_UNIT.metric
   );
-};
-
-const LapSplits = ({ splits, lapLength }) => {
-  if (!splits.length) return null;
-  const lapLabel = lapLength.toLocaleString('pt-BR');
-  return (
-    <div className="splits">
-      <h3>Parciais ({lapLabel} m)</h3>
-      <ul>
-        {splits.map((split) => (
-          <li key={split.id}>
-            <span>
-              {split.label} {split.isFinal ? '(final)' : ''}
-            </span>
-            <span>{split.time ?? '—'}</span>
-          </li>
-        ))}
-      </ul>
-    </div>
+  const [time, setTime] = useState('');
+  const [pace, setPace] = useState('');
+  const [speed, setSpeed] = useState('');
+  const [lapLength, setLapLength] = useState(DEFAULT_LAP_METERS);
+  const [lapLengthInput, setLapLengthInput] = useState(
+    String(DEFAULT_LAP_METERS)
+  );
+  const [lane, setLane] = useState(1);
+  const [isConfigOpen, setIsConfigOpen] = useState(false);
+  const [pacingInput, setPacingInput] = useState({ type: 'even', value: '' });
+  const [workoutBlocks, setWorkoutBlocks] = useState(() => [
+    createWorkoutBlock(),
+  ]);
+  const plannedReps = useMemo(
+    () => expandWorkout(workoutBlocks, unitSystem),
+    [workoutBlocks, unitSystem]
   );
-};
-
-const formatTimer = (ms) => {
-  if (ms < 0) ms = 0;
-  const totalSeconds = Math.floor(ms / 1000);
-  const minutes = Math.floor(totalSeconds / 60);
-  const seconds = totalSeconds % 60;
-  const centiseconds = Math.floor((ms % 1000) / 10);
-  return `${padTime(minutes)}:${padTime(seconds)}.${padTime(centiseconds)}`;
-};
-
-const TimerGroup = ({ id, onRemove }) => {
-  const [name, setName] = useState(`Grupo ${id}`);
-  const [isEditingName, setIsEditingName] = useState(false);
-  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
-  const [mode, setMode] = useState('idle'); // 'idle' | 'run' | 'rest'
-  const [startTime, setStartTime] = useState(null);
-  const [elapsed, setElapsed] = useState(0);
-  const [history, setHistory] = useState([]);
 
+  // Restores the calculator from the URL on load and on back/forward. Our
+  // own pushes come back through router.query too and are skipped.
   useEffect(() => {
-    let interval;
-    if (mode !== 'idle' && startTime) {
-      interval = setInterval(() => {
-        setElapsed(Date.now() - startTime);
-      }, 30);
+    if (!router.isReady) return;
+    if (
+      lastQueryRef.current &&
+      isSameQuery(router.query, lastQueryRef.current)
+    ) {
+      return;
     }
-    return () => clearInterval(interval);
-  }, [mode, startTime]);
-
-  useEffect(() => {
-    const handleGlobalStart = () => {
-      if (mode === 'idle') {
-        handleStart();
+    const state = parseCalculatorQuery(router.query);
+    if (!isHydrated && !Object.keys(router.query).length) {
+      const saved = loadJSON(UNIT_SYSTEM_KEY);
+      if (UNIT_SYSTEMS[saved]) {
+        state.unitSystem = saved;
+        state.distanceUnit = DEFAULT_DISTANCE_UNIT[saved];
       }
-    };
-    window.addEventListener('start-all-timers', handleGlobalStart);
-    return () => {
-      window.removeEventListener('start-all-timers', handleGlobalStart);
-    };
-  }, [mode]); // Re-bind when mode changes to ensure handleStart has correct closure if needed
-
-  const handleStart = () => {
-    setMode('run');
-    setStartTime(Date.now());
-    setElapsed(0);
-  };
-
-  const handleLap = () => {
-    if (mode === 'idle') return;
-    const duration = Date.now() - startTime;
-    const newEntry = {
-      mode,
-      duration,
-      timestamp: Date.now(),
-      id: Date.now() + Math.random(),
-    };
-    // Append new entry to the end
-    setHistory((prev) => [...prev, newEntry]);
-
-    // Toggle mode
-    const nextMode = mode === 'run' ? 'rest' : 'run';
-    setMode(nextMode);
-    setStartTime(Date.now());
-    setElapsed(0);
-  };
-
-  const handleStop = () => {
-    if (mode !== 'idle') {
-      const duration = Date.now() - startTime;
-      const newEntry = {
-        mode,
-        duration,
-        timestamp: Date.now(),
-        id: Date.now() + Math.random(),
-      };
-      setHistory((prev) => [...prev, newEntry]);
     }
-    setMode('idle');
-    setStartTime(null);
-    setElapsed(0);
-  };
-
-  const handleReset = () => {
-    setMode('idle');
-    setStartTime(null);
-    setElapsed(0);
-    setHistory([]);
-  };
-
-  // Process history into pairs (run + rest)
-  const historyRows = useMemo(() => {
-    const rows = [];
-    let currentRun = null;
-
-    history.forEach((entry) => {
-      if (entry.mode === 'run') {
-        currentRun = { run: entry, rest: null };
-        rows.push(currentRun);
-      } else if (entry.mode === 'rest' && currentRun) {
-        currentRun.rest = entry;
-        currentRun = null; // Reset current run after pairing
-      } else if (entry.mode === 'rest' && !currentRun) {
-        // Standalone rest (shouldn't happen in normal flow but handle just in case)
-        rows.push({ run: null, rest: entry });
-      }
-    });
-    return rows;
-  }, [history]);
-
-  return (
-    <article className="card compact timer-group">
-      <div className="card-header timer-header">
-        {isEditingName ? (
-          <input
-            type="text"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            onBlur={() => setIsEditingName(false)}
-            onKeyDown={(e) => {
-              if (e.key === 'Enter') setIsEditingName(false);
-            }}
-            autoFocus
-            className="timer-name-input"
-          />
-        ) : (
-          <h3 onClick={() => setIsEditingName(true)} title="Clique para renomear">
-            {name}
-          </h3>
-        )}
-        <button
-          onClick={() => onRemove(id)}
-          className="timer-remove"
-          aria-label="Remover grupo"
-          title="Remover"
-        >
-          <svg
-            width="16"
-            height="16"
-            viewBox="0 0 24 24"
-            fill="none"
-            stroke="currentColor"
-            strokeWidth="2"
-            strokeLinecap="round"
-            strokeLinejoin="round"
-          >
-            <polyline points="3 6 5 6 21 6"></polyline>
-            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-          </svg>
-        </button>
-      </div>
-
-      <div className="timer-display">
-        <span className={`timer-value ${mode === 'rest' ? 'text-rest' : ''}`}>
-          {formatTimer(elapsed)}
-        </span>
-        <span className="timer-label">
-          {mode === 'idle'
-            ? 'Pronto'
-            : mode === 'run'
-              ? 'Correndo'
-              : 'Descanso'}
-        </span>
-      </div>
-
-      <div className="timer-controls">
-        {mode === 'idle' ? (
-          <button 
-            className="btn-primary btn-icon btn-run" 
-            onClick={handleStart}
-            title="Iniciar"
-          >
-            <svg
-              width="24"
-              height="24"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-            >
-              <polygon points="5 3 19 12 5 21 5 3" fill="currentColor" stroke="none" />
-            </svg>
-          </button>
-        ) : (
-          <>
-            <button 
-              className={`btn-icon ${mode === 'run' ? 'btn-rest' : 'btn-run'}`}
-              onClick={handleLap}
-              title={mode === 'run' ? 'Descansar' : 'Correr'}
-            >
-              {mode === 'run' ? (
-                <svg
-                  width="24"
-                  height="24"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                >
-                  <rect x="6" y="4" width="4" height="16" fill="currentColor" stroke="none" />
-                  <rect x="14" y="4" width="4" height="16" fill="currentColor" stroke="none" />
-                </svg>
-              ) : (
-                <svg
-                  width="24"
-                  height="24"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                >
-                  <polygon points="5 3 19 12 5 21 5 3" fill="currentColor" stroke="none" />
-                </svg>
-              )}
-            </button>
-            <button 
-              className="btn-secondary btn-icon" 
-              onClick={handleStop}
-              title="Parar"
-            >
-              <svg
-                width="24"
-                height="24"
-                viewBox="0 0 24 24"
-                fill="none"
-                stroke="currentColor"
-                strokeWidth="2"
-                strokeLinecap="round"
-                strokeLinejoin="round"
-              >
-                <rect x="6" y="6" width="12" height="12" fill="currentColor" stroke="none" />
-              </svg>
-            </button>
-          </>
-        )}
-        {mode === 'idle' && history.length > 0 && (
-          <button 
-            className="btn-secondary btn-icon" 
-            onClick={handleReset}
-            title="Limpar"
-          >
-            ↺
-          </button>
-        )}
-        {history.length > 0 && (
-          <button
-            className="btn-secondary btn-icon"
-            onClick={() => setIsHistoryOpen(!isHistoryOpen)}
-            title={
-              isHistoryOpen
-                ? 'Ocultar Histórico'
-                : `Ver Histórico (${historyRows.length})`
-            }
-            style={isHistoryOpen ? { background: 'rgba(56, 189, 248, 0.15)', color: '#38bdf8' } : {}}
-          >
-            <svg
-              width="20"
-              height="20"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-            >
-              <line x1="8" y1="6" x2="21" y2="6"></line>
-              <line x1="8" y1="12" x2="21" y2="12"></line>
-              <line x1="8" y1="18" x2="21" y2="18"></line>
-              <line x1="3" y1="6" x2="3.01" y2="6"></line>
-              <line x1="3" y1="12" x2="3.01" y2="12"></line>
-              <line x1="3" y1="18" x2="3.01" y2="18"></line>
-            </svg>
-          </button>
-        )}
-      </div>
-
-      {history.length > 0 && isHistoryOpen && (
-        <div className="timer-history-section">
-          <div className="timer-history-table">
-            <div className="history-header">
-              <span>#</span>
-              <span>Corrida</span>
-              <span>Descanso</span>
-            </div>
-            <div className="history-body">
-              {historyRows.map((row, index) => (
-                <div key={index} className="history-row">
-                  <span className="history-idx">{index + 1}</span>
-                  <span className="history-run">
-                    {row.run ? formatTimer(row.run.duration) : '—'}
-                  </span>
-                  <span className="history-rest">
-                    {row.rest ? formatTimer(row.rest.duration) : '—'}
-                  </span>
-                </div>
-              ))}
-            </div>
-          </div>
-        </div>
-      )}
-    </article>
+    setUnitSystem(state.unitSystem);
+    setDistance(state.distance);
+    setDistanceUnit(state.distanceUnit);
+    setTime(state.time);
+    setPace(state.pace);
+    setSpeed(state.speed);
+    setLapLength(state.lapLength);
+    setLapLengthInput(String(state.lapLength));
+    setLane(state.lane);
+    setPacingInput(state.pacingInput);
+    lastQueryRef.current = router.query;
+    setIsHydrated(true);
+  }, [router.isReady, router.query]);
+
+  const calculatorQuery = useMemo(
+    () =>
+      serializeCalculatorState({
+        unitSystem,
+        distance,
+        distanceUnit,
+        time,
+        pace,
+        speed,
+        lapLength,
+        lane,
+        pacingInput,
+      }),
+    [
+      unitSystem,
+      distance,
+      distanceUnit,
+      time,
+      pace,
+      speed,
+      lapLength,
+      lane,
+      pacingInput,
+    ]
   );
-};
-
-const TimerManager = () => {
-  const [groups, setGroups] = useState([{ id: 1 }]);
-  const [showHelp, setShowHelp] = useState(false);
-
-  const addGroup = () => {
-    const newId =
-      groups.length > 0 ? Math.max(...groups.map((g) => g.id)) + 1 : 1;
-    setGroups([...groups, { id: newId }]);
-  };
 
-  const removeGroup = (id) => {
-    setGroups(groups.filter((g) => g.id !== id));
+  useEffect(() => {
+    if (!isHydrated || isSameQuery(calculatorQuery, router.query)) return;
+    const timeout = setTimeout(() => {
+      lastQueryRef.current = calculatorQuery;
+      router.push(
+        { pathname: router.pathname, query: calculatorQuery },
+        undefined,
+        {
+          shallow: true,
+          scroll: false,
+        }
+      );
+    }, URL_UPDATE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [calculatorQuery, isHydrated, router.query]);
+
+  const handleCopyLink = async () => {
+    const search = new URLSearchParams(calculatorQuery).toString();
+    const url = `${window.location.origin}${router.pathname}${
+      search ? `?${search}` : ''
+    }`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkFeedback('Link copiado!');
+    } catch (error) {
+      setLinkFeedback('Não foi possível copiar o link.');
+    }
+    setTimeout(() => setLinkFeedback(''), 2500);
   };
 
-  const startAll = () => {
-    // Dispatch a custom event that TimerGroup components listen for
-    const event = new CustomEvent('start-all-timers');
-    window.dispatchEvent(event);
-  };
-
-  return (
-    <div className="timer-section-wrapper">
-      <div className="section-header-main" style={{ justifyContent: 'space-between', flexWrap: 'wrap', gap: '1rem' }}>
-        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
-          <h2>Cronômetros</h2>
-          <button
-            className={`help-toggle ${showHelp ? 'active' : ''}`}
-            onClick={() => setShowHelp(!showHelp)}
-            title="Como usar"
-          >
-            ?
-          </button>
-        </div>
-      </div>
-
-      <div style={{ display: 'flex', gap: '1rem', marginBottom: '1.5rem' }}>
-        <button onClick={startAll} className="settings-toggle">
-          ▶ Iniciar Todos
-        </button>
-        <button onClick={addGroup} className="settings-toggle">
-          + Novo Grupo
-        </button>
-      </div>
-
-      {showHelp && (
-        <div className="timer-help-card">
-          <h4>Como usar os cronômetros:</h4>
-          <ul>
-            <li>
-              <strong>Iniciar (▶):</strong> Começa a contar o tempo de corrida
-              (Azul).
-            </li>
-            <li>
-              <strong>Lap (⏸):</strong> Registra a parcial e muda para descanso
-              (Rosa).
-            </li>
-            <li>
-              <strong>Lap (▶):</strong> Registra o descanso e inicia nova
-              corrida (Azul).
-            </li>
-            <li>
-              <strong>Renomear:</strong> Clique no nome "Grupo X" para editar.
-            </li>
-            <li>
-              <strong>Todos (▶):</strong> Inicia todos os cronômetros parados.
-            </li>
-          </ul>
-        </div>
-      )}
-
-      <div className="timer-grid">
-        {groups.map((group) => (
-          <TimerGroup key={group.id} id={group.id} onRemove={removeGroup} />
-        ))}
-      </div>
-    </div>
-  );
-};
-
-export default function Home() {
-  const [distance, setDistance] = useState('');
-  const [time, setTime] = useState('');
-  const [pace, setPace] = useState('');
-  const [lapLength, setLapLength] = useState(DEFAULT_LAP_METERS);
-  const [lapLengthInput, setLapLengthInput] = useState(
-    String(DEFAULT_LAP_METERS)
-  );
-  const [isConfigOpen, setIsConfigOpen] = useState(false);
-
-  const distanceValue =
-    distance.trim() === '' ? null : Number.parseFloat(distance);
-  const hasDistance =
-    typeof distanceValue === 'number' &&
-    !Number.isNaN(distanceValue) &&
-    distanceValue > 0;
+  // Inputs are typed in the chosen units and converted to metres and s/km
+  // here; everything below works in metric.
+  const distanceValue = toMeters(parseDistanceInput(distance), distanceUnit);
+  const hasDistance = distanceValue !== null;
 
   const lapLengthSafe = lapLength > 0 ? lapLength : DEFAULT_LAP_METERS;
 
-  const distanceKm = hasDistance ? distanceValue / METERS_IN_KM : null;
   const timeSeconds = parseDurationInput(time);
-  const paceSeconds = parseDurationInput(pace);
+  const paceSeconds = paceToSecondsPerKm(parseDurationInput(pace), unitSystem);
+  const speedKmh = speedToKmh(parseSpeedInput(speed), unitSystem);
   const hasTime = Boolean(timeSeconds);
   const hasPace = Boolean(paceSeconds);
+  const hasSpeed = Boolean(speedKmh);
+  // The pace the athlete is aiming for, typed directly or as a speed.
+  const targetPaceSeconds = hasPace ? paceSeconds : paceFromSpeed(speedKmh);
+
+  const handleUnitSystemChange = (event) => {
+    const nextSystem = event.target.value;
+    setUnitSystem(nextSystem);
+    saveJSON(UNIT_SYSTEM_KEY, nextSystem);
+    if (!hasDistance) setDistanceUnit(DEFAULT_DISTANCE_UNIT[nextSystem]);
+    if (hasPace) {
+      setPace(formatDuration(paceFromSecondsPerKm(paceSeconds, nextSystem)));
+    }
+    if (hasSpeed) {
+      setSpeed(speedFromKmh(speedKmh, nextSystem).toFixed(1));
+    }
+    if (pacingStrategy.type !== 'even') {
+      setPacingInput({
+        type: pacingStrategy.type,
+        value: formatPacingValue(pacingStrategy, nextSystem),
+      });
+    }
+    setWorkoutBlocks((blocks) =>
+      convertWorkoutBlocks(blocks, unitSystem, nextSystem)
+    );
+  };
+
+  const handleDistanceUnitChange = (event) => {
+    const nextUnit = event.target.value;
+    setDistanceUnit(nextUnit);
+    if (hasDistance) {
+      setDistance(
+        String(
+          Number((distanceValue / DISTANCE_UNITS[nextUnit].meters).toFixed(3))
+        )
+      );
+    }
+  };
+
+  const handleSelectDistance = (meters) => {
+    setDistance(String(meters));
+    setDistanceUnit('m');
+  };
 
   const handleLapLengthInput = (event) => {
     const nextValue = event.target.value;
@@ -662,116 +246,156 @@ export default function Home() {
     }
   };
 
+  const handleLapPreset = (event) => {
+    const preset = LAP_PRESETS.find((item) => item.id === event.target.value);
+    if (!preset) return;
+    setLapLength(preset.meters);
+    setLapLengthInput(String(Number(preset.meters.toFixed(3))));
+  };
+
   const handleResetLapLength = () => {
     setLapLength(DEFAULT_LAP_METERS);
     setLapLengthInput(String(DEFAULT_LAP_METERS));
   };
 
-  const lapLengthLabel = `${lapLengthSafe.toLocaleString('pt-BR')} m`;
-
-  const paceResult = useMemo(() => {
-    if (!distanceKm || !timeSeconds) return null;
-    return formatPace(timeSeconds / distanceKm);
-  }, [distanceKm, timeSeconds]);
-
-  const timeResult = useMemo(() => {
-    if (!distanceKm || !paceSeconds) return null;
-    return formatDuration(paceSeconds * distanceKm);
-  }, [distanceKm, paceSeconds]);
-
-  const distanceResult = useMemo(() => {
-    if (!timeSeconds || !paceSeconds) return null;
-    const kilometers = timeSeconds / paceSeconds;
-    if (!Number.isFinite(kilometers) || kilometers <= 0) return null;
-    const meters = kilometers * METERS_IN_KM;
-    return `${meters.toFixed(0)} m (${kilometers.toFixed(2)} km)`;
-  }, [timeSeconds, paceSeconds]);
-
-  const highlightedField = useMemo(() => {
-    const providedCount = [hasDistance, hasTime, hasPace].filter(
-      Boolean
-    ).length;
-    if (providedCount !== 2) return null;
-    if (!hasDistance) return 'distance';
-    if (!hasTime) return 'time';
-    if (!hasPace) return 'pace';
-    return null;
-  }, [hasDistance, hasTime, hasPace]);
+  // A predicted result replaces the calculator inputs; pace is cleared so it
+  // is solved from the predicted time.
+  const handleApplyPrediction = ({ distanceMeters, timeSeconds }) => {
+    handleSelectDistance(distanceMeters);
+    setTime(formatDuration(timeSeconds));
+    setPace('');
+    setSpeed('');
+    document
+      .getElementById('calculadora')
+      ?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  // Race presets are measured on lane 1 and the start stagger makes up for
+  // the lane, so only free distances use the longer lap of the chosen lane.
+  const raceEvent = findRaceEvent(distanceValue);
+  const laneLapMeters = laneLapLength(lapLengthSafe, lane);
+  const splitLapMeters = raceEvent ? lapLengthSafe : laneLapMeters;
+  const firstLapMeters = raceEvent
+    ? raceFirstLapMeters(raceEvent, lapLengthSafe)
+    : 0;
+  const lapLengthLabel =
+    lane > 1 && !raceEvent
+      ? `${formatTrackMeters(
+          laneLapMeters,
+          unitSystem
+        )} na raia ${lane} (${formatTrackMeters(
+          lapLengthSafe,
+          unitSystem
+        )} na raia 1)`
+      : formatTrackMeters(lapLengthSafe, unitSystem);
+
+  const solution = useMemo(
+    () =>
+      solveEffort({
+        distanceMeters: distanceValue,
+        timeSeconds,
+        paceSeconds,
+        speedKmh,
+      }),
+    [distanceValue, timeSeconds, paceSeconds, speedKmh]
+  );
+
+  // A typed speed fills in the pace and vice versa, on top of whichever of
+  // distance or time was solved.
+  const paceResult =
+    solution.solvedField === 'pace' || (hasSpeed && !hasPace)
+      ? formatPace(solution.paceSeconds, unitSystem)
+      : null;
+  const speedResult = hasSpeed
+    ? null
+    : formatSpeed(solution.speedKmh, unitSystem);
+  const timeResult =
+    solution.solvedField === 'time'
+      ? formatDuration(solution.timeSeconds)
+      : null;
+  const distanceResult =
+    solution.solvedField === 'distance'
+      ? unitSystem === 'imperial'
+        ? `${(solution.distanceMeters / METERS_IN_MILE).toFixed(2)} mi (${(
+            solution.distanceMeters / METERS_IN_YARD
+          ).toFixed(0)} yd)`
+        : `${solution.distanceMeters.toFixed(0)} m (${(
+            solution.distanceMeters / METERS_IN_KM
+          ).toFixed(2)} km)`
+      : null;
+
+  const highlightedField = solution.solvedField;
 
   const distanceIsCalculated = !hasDistance && Boolean(distanceResult);
   const timeIsCalculated = !hasTime && Boolean(timeResult);
   const paceIsCalculated = !hasPace && Boolean(paceResult);
+  const speedIsCalculated = !hasSpeed && Boolean(speedResult);
 
   const distanceDisplay = hasDistance
-    ? formatMeters(distanceValue)
+    ? formatDistance(distanceValue, unitSystem)
     : (distanceResult ?? '—');
   const timeDisplay = time || timeResult || '—';
   const paceDisplay = pace || paceResult || '—';
+  const speedDisplay = hasSpeed
+    ? formatSpeed(speedKmh, unitSystem)
+    : (speedResult ?? '—');
+  const speedAlternate = formatSpeed(
+    solution.speedKmh,
+    unitSystem === 'imperial' ? 'metric' : 'imperial'
+  );
 
-  const lapData = useMemo(() => {
-    if (!hasDistance) return null;
-    const totalMeters = distanceValue;
-    const lapCount = totalMeters / lapLengthSafe;
-    const fullLaps = Math.floor(lapCount);
-    const remainderMeters = Math.round(totalMeters - fullLaps * lapLengthSafe);
-    const progress = lapCount === 0 ? 0 : lapCount % 1;
-    return {
-      lapCount,
-      fullLaps,
-      remainderMeters,
-      progress,
-    };
-  }, [hasDistance, distanceValue, lapLengthSafe]);
-
-  const lapSplits = useMemo(() => {
-    if (!hasDistance) return [];
-    const totalMeters = distanceValue;
-    if (totalMeters <= lapLengthSafe) return [];
-
-    const splits = [];
-    const fullLaps = Math.floor(totalMeters / lapLengthSafe);
-
-    for (let lap = 1; lap <= fullLaps; lap += 1) {
-      const cumulativeMeters = lap * lapLengthSafe;
-      let splitTime = null;
-      if (paceSeconds) {
-        splitTime = formatDuration(
-          paceSeconds * (cumulativeMeters / METERS_IN_KM)
-        );
-      } else if (timeSeconds && totalMeters > 0) {
-        const ratio = cumulativeMeters / totalMeters;
-        splitTime = formatDuration(timeSeconds * ratio);
-      }
-      splits.push({
-        id: `lap-${lap}`,
-        label: `${lap}ª volta — ${cumulativeMeters} m`,
-        time: splitTime,
-      });
-    }
+  const lapData = useMemo(
+    () => (hasDistance ? computeLapData(distanceValue, splitLapMeters) : null),
+    [hasDistance, distanceValue, splitLapMeters]
+  );
 
-    const remainder = totalMeters % lapLengthSafe;
-    if (remainder > 0) {
-      const cumulativeMeters = totalMeters;
-      let splitTime = null;
-      if (paceSeconds) {
-        splitTime = formatDuration(
-          paceSeconds * (cumulativeMeters / METERS_IN_KM)
-        );
-      } else if (timeSeconds) {
-        splitTime = formatDuration(timeSeconds);
-      }
-      splits.push({
-        id: 'lap-final',
-        label: `${fullLaps + 1}ª volta — ${cumulativeMeters} m`,
-        time: splitTime,
-        isFinal: true,
-        lap: fullLaps + 1,
-        cumulativeMeters,
-      });
-    }
+  const pacingStrategy = useMemo(
+    () => parsePacingStrategy(pacingInput, unitSystem),
+    [pacingInput, unitSystem]
+  );
 
-    return splits;
-  }, [hasDistance, distanceValue, paceSeconds, timeSeconds, lapLengthSafe]);
+  const lapSplits = useMemo(
+    () =>
+      hasDistance
+        ? computeLapSplits({
+            distanceMeters: distanceValue,
+            lapLength: splitLapMeters,
+            timeSeconds,
+            paceSeconds: targetPaceSeconds,
+            strategy: pacingStrategy,
+            firstLapMeters,
+          })
+        : [],
+    [
+      hasDistance,
+      distanceValue,
+      targetPaceSeconds,
+      timeSeconds,
+      splitLapMeters,
+      pacingStrategy,
+      firstLapMeters,
+    ]
+  );
+
+  const pacingIsInvalid =
+    (hasTime || hasPace || hasSpeed) &&
+    lapSplits.length > 0 &&
+    lapSplits[0].seconds === null;
+
+  const paceBandHref = {
+    pathname: '/pulseira',
+    query: Object.fromEntries(
+      Object.entries({
+        distancia: hasDistance ? String(distanceValue) : '',
+        tempo: time.trim(),
+        pace: formatDuration(targetPaceSeconds) ?? '',
+        volta: String(splitLapMeters),
+        largada: firstLapMeters ? String(firstLapMeters) : '',
+        estrategia: pacingStrategy.type === 'even' ? '' : pacingStrategy.type,
+        ajuste: formatPacingValue(pacingStrategy),
+      }).filter(([, value]) => value)
+    ),
+  };
 
   return (
     <main>
@@ -783,7 +407,7 @@ export default function Home() {
         </p>
       </header>
 
-      <div className="feature-section calculator-section">
+      <div className="feature-section calculator-section" id="calculadora">
         <div className="section-header-main">
           <h2>Calculadora de Ritmo</h2>
         </div>
@@ -791,22 +415,77 @@ export default function Home() {
           <article className="card compact">
             <div className="card-header">
               <h2>Parâmetros do treino</h2>
-              <p>Preencha dois campos e nós calculamos o terceiro.</p>
+              <p>Preencha dois campos e nós calculamos os demais.</p>
+              <div className="share-link">
+                <button
+                  type="button"
+                  className="settings-toggle ghost"
+                  onClick={handleCopyLink}
+                >
+                  Copiar link
+                </button>
+                {linkFeedback && (
+                  <span className="export-feedback">{linkFeedback}</span>
+                )}
+              </div>
+            </div>
+
+            <label className="unit-system">
+              <span>Unidades</span>
+              <select value={unitSystem} onChange={handleUnitSystemChange}>
+                {Object.entries(UNIT_SYSTEMS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="race-presets" role="group" aria-label="Provas">
+              {RACE_EVENTS.map((event) => (
+                <button
+                  key={event.id}
+                  type="button"
+                  className={`settings-toggle ${
+                    raceEvent?.id === event.id ? '' : 'ghost'
+                  }`}
+                  aria-pressed={raceEvent?.id === event.id}
+                  onClick={() => handleSelectDistance(event.distance)}
+                >
+                  {formatTrackMeters(event.distance)}
+                </button>
+              ))}
             </div>
 
             <div className="form-grid">
               <label>
                 <span>
-                  Distância <span className="unit">(m)</span>
+                  Distância{' '}
+                  <span className="unit">
+                    ({DISTANCE_UNITS[distanceUnit].label})
+                  </span>
                 </span>
-                <input
-                  type="number"
-                  min="0"
-                  step="1"
-                  placeholder="1000"
-                  value={distance}
-                  onChange={(event) => setDistance(event.target.value)}
-                />
+                <div className="input-with-unit">
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder={distanceUnit === 'm' ? '1000' : '3'}
+                    value={distance}
+                    onChange={(event) => setDistance(event.target.value)}
+                  />
+                  <select
+                    value={distanceUnit}
+                    onChange={handleDistanceUnitChange}
+                    aria-label="Unidade da distância"
+                  >
+                    {Object.entries(DISTANCE_UNITS).map(([value, unit]) => (
+                      <option key={value} value={value}>
+                        {unit.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
               </label>
 
               <label>
@@ -823,7 +502,10 @@ export default function Home() {
 
               <label>
                 <span>
-                  Pace <span className="unit">(mm:ss / km)</span>
+                  Pace{' '}
+                  <span className="unit">
+                    (mm:ss / {PACE_UNITS[unitSystem].label})
+                  </span>
                 </span>
                 <input
                   type="text"
@@ -832,7 +514,28 @@ export default function Home() {
                   onChange={(event) => setPace(event.target.value)}
                 />
               </label>
+
+              <label>
+                <span>
+                  Velocidade{' '}
+                  <span className="unit">({SPEED_UNITS[unitSystem]})</span>
+                </span>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  placeholder={unitSystem === 'imperial' ? '8,5' : '13,5'}
+                  value={speed}
+                  onChange={(event) => setSpeed(event.target.value)}
+                />
+              </label>
             </div>
+
+            <PacingStrategyPicker
+              strategy={pacingInput}
+              unitSystem={unitSystem}
+              onChange={setPacingInput}
+              isInvalid={pacingIsInvalid}
+            />
           </article>
 
           <article className="card compact">
@@ -878,9 +581,34 @@ export default function Home() {
                   {paceIsCalculated ? 'Calculado' : hasPace ? 'Informado' : '—'}
                 </p>
               </div>
+              <div
+                className={`result-tile ${
+                  highlightedField === 'pace' && !hasSpeed ? 'focus' : ''
+                }`}
+              >
+                <p className="result-label">Velocidade</p>
+                <p className="result-value">{speedDisplay}</p>
+                <p className="result-detail">
+                  {speedIsCalculated
+                    ? `Calculado · ${speedAlternate}`
+                    : hasSpeed
+                      ? `Informado · ${speedAlternate}`
+                      : '—'}
+                </p>
+              </div>
             </div>
 
-            <LapSplits splits={lapSplits} lapLength={lapLengthSafe} />
+            <SpeedConversions
+              paceSeconds={solution.paceSeconds}
+              unitSystem={unitSystem}
+            />
+
+            <LapSplits
+              splits={lapSplits}
+              lapLength={splitLapMeters}
+              bandHref={paceBandHref}
+              unitSystem={unitSystem}
+            />
           </article>
 
           <article className="card track">
@@ -899,12 +627,30 @@ export default function Home() {
             </div>
             {isConfigOpen && (
               <div className="track-config">
+                <label>
+                  Pista
+                  <select
+                    value={
+                      LAP_PRESETS.find(
+                        (preset) => Math.abs(preset.meters - lapLength) < 0.01
+                      )?.id ?? ''
+                    }
+                    onChange={handleLapPreset}
+                  >
+                    <option value="">Personalizada</option>
+                    {LAP_PRESETS.map((preset) => (
+                      <option key={preset.id} value={preset.id}>
+                        {preset.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
                 <label>
                   Comprimento da volta (m)
                   <input
                     type="number"
                     min="50"
-                    step="10"
+                    step="any"
                     value={lapLengthInput}
                     onChange={handleLapLengthInput}
                   />
@@ -916,17 +662,78 @@ export default function Home() {
                 >
                   Redefinir para 400 m
                 </button>
+                <label>
+                  Raia
+                  <select
+                    value={lane}
+                    onChange={(event) => setLane(Number(event.target.value))}
+                  >
+                    {Array.from({ length: LANE_COUNT }, (_, index) => (
+                      <option key={index + 1} value={index + 1}>
+                        Raia {index + 1} —{' '}
+                        {formatTrackMeters(
+                          laneLapLength(lapLengthSafe, index + 1),
+                          unitSystem
+                        )}
+                      </option>
+                    ))}
+                  </select>
+                </label>
               </div>
             )}
-            <TrackVisual lapData={lapData} lapLength={lapLengthSafe} />
+            <TrackVisual
+              lapData={lapData}
+              lapLength={splitLapMeters}
+              lane={lane}
+              raceEvent={raceEvent}
+              unitSystem={unitSystem}
+            />
           </article>
         </section>
       </div>
 
       <div className="feature-divider"></div>
 
+      <div className="feature-section predictor-section">
+        <div className="section-header-main">
+          <h2>Previsão de Provas e Zonas</h2>
+        </div>
+        <div className="predictor-grid">
+          <RacePredictor
+            onApply={handleApplyPrediction}
+            unitSystem={unitSystem}
+          />
+          <TrainingZones
+            lapLength={laneLapMeters}
+            calculatorEffort={solution}
+            unitSystem={unitSystem}
+          />
+        </div>
+      </div>
+
+      <div className="feature-divider"></div>
+
+      <div className="feature-section workout-section">
+        <div className="section-header-main">
+          <h2>Treino Intervalado</h2>
+        </div>
+        <WorkoutBuilder
+          blocks={workoutBlocks}
+          onChange={setWorkoutBlocks}
+          lapLength={laneLapMeters}
+          lane={lane}
+          unitSystem={unitSystem}
+        />
+      </div>
+
+      <div className="feature-divider"></div>
+
       <div className="feature-section timers-section">
-        <TimerManager />
+        <TimerManager
+          plannedReps={plannedReps}
+          lapLength={lapLengthSafe}
+          unitSystem={unitSystem}
+        />
       </div>
     </main>
   );
@@ -0,0 +1,289 @@
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useEffect, useMemo, useState } from 'react';
+import {
+  DEFAULT_LAP_METERS,
+  PACING_STRATEGIES,
+  convertPaceInput,
+  formatPacingValue,
+  parseDistanceInput,
+  parseDurationInput,
+  parsePacingStrategy,
+} from '../lib/pace';
+import {
+  BAND_LAYOUTS,
+  DEFAULT_BAND_FONT,
+  MAX_BAND_FONT,
+  MIN_BAND_FONT,
+  buildPaceBandRows,
+  buildPaceBandSVG,
+  describePaceBand,
+} from '../lib/paceBand';
+import { downloadFile } from '../lib/exportHistory';
+import { PACE_UNITS, loadUnitSystem, paceToSecondsPerKm } from '../lib/units';
+import PacingStrategyPicker from '../components/PacingStrategyPicker';
+
+const PACE_PLACEHOLDER = { metric: '03:54', imperial: '06:17' };
+
+export default function PaceBand() {
+  const router = useRouter();
+  const [distance, setDistance] = useState('');
+  const [time, setTime] = useState('');
+  const [pace, setPace] = useState('');
+  const [lapLength, setLapLength] = useState(String(DEFAULT_LAP_METERS));
+  const [firstLap, setFirstLap] = useState('');
+  const [pacingInput, setPacingInput] = useState({ type: 'even', value: '' });
+  const [layout, setLayout] = useState('lap');
+  const [fontSize, setFontSize] = useState(DEFAULT_BAND_FONT);
+  const [unitSystem, setUnitSystem] = useState('metric');
+
+  // The calculator links here with its current values in the query string,
+  // paces per km; they are shown in the saved unit system.
+  useEffect(() => {
+    if (!router.isReady) return;
+    const {
+      distancia,
+      tempo,
+      pace: paceQuery,
+      volta,
+      largada,
+      estrategia,
+      ajuste,
+      layout: layoutQuery,
+    } = router.query;
+    const system = loadUnitSystem();
+    setUnitSystem(system);
+    if (distancia) setDistance(String(distancia));
+    if (tempo) setTime(String(tempo));
+    if (paceQuery) {
+      setPace(convertPaceInput(String(paceQuery), 'metric', system));
+    }
+    if (volta) setLapLength(String(volta));
+    if (largada) setFirstLap(String(largada));
+    if (PACING_STRATEGIES[estrategia]) {
+      const value = String(ajuste ?? '');
+      const parsed = parsePacingStrategy({ type: estrategia, value });
+      setPacingInput({
+        type: estrategia,
+        value:
+          parsed.type === estrategia
+            ? formatPacingValue(parsed, system)
+            : value,
+      });
+    }
+    if (BAND_LAYOUTS[layoutQuery]) setLayout(layoutQuery);
+  }, [router.isReady, router.query]);
+
+  const distanceMeters = parseDistanceInput(distance);
+  const lapLengthMeters = parseDistanceInput(lapLength) ?? DEFAULT_LAP_METERS;
+  const timeSeconds = parseDurationInput(time);
+  const paceSeconds = paceToSecondsPerKm(parseDurationInput(pace), unitSystem);
+  const firstLapMeters = parseDistanceInput(firstLap) ?? 0;
+  const strategy = useMemo(
+    () => parsePacingStrategy(pacingInput, unitSystem),
+    [pacingInput, unitSystem]
+  );
+
+  const rows = useMemo(
+    () =>
+      distanceMeters
+        ? buildPaceBandRows({
+            distanceMeters,
+            lapLength: lapLengthMeters,
+            timeSeconds,
+            paceSeconds,
+            strategy,
+            firstLapMeters,
+            layout,
+            unitSystem,
+          })
+        : [],
+    [
+      distanceMeters,
+      lapLengthMeters,
+      timeSeconds,
+      paceSeconds,
+      strategy,
+      firstLapMeters,
+      layout,
+      unitSystem,
+    ]
+  );
+
+  const description = distanceMeters
+    ? describePaceBand({
+        distanceMeters,
+        timeSeconds,
+        paceSeconds,
+        unitSystem,
+      })
+    : null;
+  const hasTarget = Boolean(description?.total);
+  const pacingIsInvalid = hasTarget && rows[0]?.time === '—';
+
+  const svg = useMemo(() => {
+    if (!rows.length || !hasTarget) return null;
+    return buildPaceBandSVG({
+      rows,
+      heading: description.distance,
+      subheading: description.total,
+      fontSize,
+    });
+  }, [rows, hasTarget, description?.distance, description?.total, fontSize]);
+
+  const handleDownload = () => {
+    downloadFile(
+      `pulseira-${distanceMeters}m.svg`,
+      svg,
+      'image/svg+xml;charset=utf-8'
+    );
+  };
+
+  return (
+    <main className="pace-band-page">
+      <header className="hero no-print">
+        <h1>Pulseira de Ritmo</h1>
+        <p className="subtitle">
+          Imprima as parciais planejadas, recorte as tiras e leve no pulso
+          durante a prova.
+        </p>
+        <Link href="/" className="settings-toggle ghost archive-back">
+          ← Voltar para a calculadora
+        </Link>
+      </header>
+
+      <article className="card compact no-print">
+        <div className="form-grid">
+          <label>
+            <span>
+              Distância <span className="unit">(m)</span>
+            </span>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              placeholder="5000"
+              value={distance}
+              onChange={(event) => setDistance(event.target.value)}
+            />
+          </label>
+          <label>
+            <span>
+              Tempo total <span className="unit">(hh:mm:ss)</span>
+            </span>
+            <input
+              type="text"
+              placeholder="00:19:30"
+              value={time}
+              onChange={(event) => setTime(event.target.value)}
+            />
+          </label>
+          <label>
+            <span>
+              Pace{' '}
+              <span className="unit">
+                (mm:ss / {PACE_UNITS[unitSystem].label})
+              </span>
+            </span>
+            <input
+              type="text"
+              placeholder={PACE_PLACEHOLDER[unitSystem]}
+              value={pace}
+              onChange={(event) => setPace(event.target.value)}
+            />
+          </label>
+          <label>
+            <span>
+              Volta <span className="unit">(m)</span>
+            </span>
+            <input
+              type="number"
+              min="50"
+              step="10"
+              value={lapLength}
+              onChange={(event) => setLapLength(event.target.value)}
+            />
+          </label>
+          <label>
+            <span>
+              1ª volta <span className="unit">(m, opcional)</span>
+            </span>
+            <input
+              type="number"
+              min="0"
+              step="10"
+              placeholder="400"
+              value={firstLap}
+              onChange={(event) => setFirstLap(event.target.value)}
+            />
+          </label>
+          <label>
+            <span>Parciais</span>
+            <select
+              value={layout}
+              onChange={(event) => setLayout(event.target.value)}
+            >
+              {Object.entries(BAND_LAYOUTS).map(([value, labels]) => (
+                <option key={value} value={value}>
+                  {labels[unitSystem]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>
+              Fonte <span className="unit">({fontSize} pt)</span>
+            </span>
+            <input
+              type="range"
+              min={MIN_BAND_FONT}
+              max={MAX_BAND_FONT}
+              step="1"
+              value={fontSize}
+              onChange={(event) => setFontSize(Number(event.target.value))}
+            />
+          </label>
+        </div>
+        <PacingStrategyPicker
+          strategy={pacingInput}
+          onChange={setPacingInput}
+          unitSystem={unitSystem}
+          isInvalid={pacingIsInvalid}
+        />
+      </article>
+
+      {svg ? (
+        <>
+          <div className="pace-band-actions no-print">
+            <button
+              type="button"
+              className="settings-toggle"
+              onClick={() => window.print()}
+            >
+              Imprimir
+            </button>
+            <button
+              type="button"
+              className="settings-toggle ghost"
+              onClick={handleDownload}
+            >
+              Baixar SVG
+            </button>
+            <span className="track-placeholder">
+              {description.distance} · {description.total} · {description.pace}
+            </span>
+          </div>
+          <div
+            className="pace-band-sheet"
+            dangerouslySetInnerHTML={{ __html: svg }}
+          />
+        </>
+      ) : (
+        <p className="track-placeholder archive-empty">
+          Informe a distância e o tempo ou pace alvo. A distância precisa ser
+          maior que uma volta (ou 1 {PACE_UNITS[unitSystem].label}).
+        </p>
+      )}
+    </main>
+  );
+}
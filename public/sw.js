@@ -0,0 +1,232 @@
+// Service worker: keeps the app shell cached so the calculator and timers
+// open without signal, and holds analytics requests until the device is
+// back online. Bump CACHE_VERSION to drop every cache of older versions.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `assets-${CACHE_VERSION}`;
+
+// Any athlete id renders the same page, so one copy serves every profile.
+const ATHLETE_SHELL = '/atletas/_';
+const SHELL_PAGES = ['/', '/historico', '/atletas', '/pulseira', ATHLETE_SHELL];
+const SHELL_FILES = [
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+];
+
+const ANALYTICS_PREFIX = '/_vercel/';
+const QUEUE_DB = 'analytics-queue';
+const QUEUE_STORE = 'requests';
+const SYNC_TAG = 'flush-analytics';
+const NAVIGATION_TIMEOUT_MS = 3000;
+
+// Scripts and styles a page needs, read from its HTML, so that pages never
+// opened online still work offline.
+const pageAssets = (html) =>
+  [...html.matchAll(/(?:src|href)="(\/_next\/static\/[^"]+)"/g)].map(
+    ([, path]) => path
+  );
+
+const cachePage = async (path, response) => {
+  const html = await response.clone().text();
+  const shell = await caches.open(SHELL_CACHE);
+  await shell.put(path, response);
+  const assets = await caches.open(ASSET_CACHE);
+  await Promise.all(
+    pageAssets(html).map((asset) =>
+      assets.match(asset).then((cached) => cached || assets.add(asset))
+    )
+  );
+};
+
+const precache = async () => {
+  const shell = await caches.open(SHELL_CACHE);
+  await shell.addAll(SHELL_FILES);
+  await Promise.all(
+    SHELL_PAGES.map(async (path) => {
+      const response = await fetch(path);
+      if (response.ok) await cachePage(path, response);
+    })
+  );
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, ASSET_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => !current.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+      .then(() => flushQueue().catch(() => {}))
+  );
+});
+
+const shellPath = (url) =>
+  url.pathname.startsWith('/atletas/') ? ATHLETE_SHELL : url.pathname;
+
+// Pages: network first, so a deploy shows up on the next visit with signal;
+// the cached copy (or the home page) when offline or when the network takes
+// longer than NAVIGATION_TIMEOUT_MS, as on a track with one bar of signal.
+const handleNavigation = async (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const network = fetch(request);
+  event.waitUntil(
+    network
+      .then((response) =>
+        response.ok ? cachePage(shellPath(url), response.clone()) : null
+      )
+      .catch(() => {})
+  );
+  const timeout = new Promise((resolve) =>
+    setTimeout(resolve, NAVIGATION_TIMEOUT_MS, null)
+  );
+  const response = await Promise.race([network, timeout]).catch(() => null);
+  if (response) return response;
+
+  const shell = await caches.open(SHELL_CACHE);
+  const cached =
+    (await shell.match(shellPath(url))) || (await shell.match('/'));
+  // Nothing cached yet: a slow page is still better than none.
+  return cached || network.catch(() => Response.error());
+};
+
+// Hashed build files never change: cache first.
+const handleStaticAsset = async (request) => {
+  const assets = await caches.open(ASSET_CACHE);
+  const cached = await assets.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) assets.put(request, response.clone());
+  return response;
+};
+
+// Everything else: the cached copy right away, refreshed in the background.
+const handleOther = async (request) => {
+  const assets = await caches.open(ASSET_CACHE);
+  const cached = await assets.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) assets.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+};
+
+// Analytics queue, kept in IndexedDB because workers have no localStorage.
+const openQueue = () =>
+  new Promise((resolve, reject) => {
+    const open = indexedDB.open(QUEUE_DB, 1);
+    open.onupgradeneeded = () =>
+      open.result.createObjectStore(QUEUE_STORE, { autoIncrement: true });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+
+const queueTransaction = async (mode, run) => {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(QUEUE_STORE, mode);
+    const result = run(transaction.objectStore(QUEUE_STORE));
+    transaction.oncomplete = () => resolve(result.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const enqueue = async (request) => {
+  const entry = {
+    url: request.url,
+    body: await request.text(),
+    contentType: request.headers.get('content-type'),
+  };
+  await queueTransaction('readwrite', (store) => store.add(entry));
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG).catch(() => {});
+  }
+};
+
+// Sends queued requests in order and stops at the first failure, so
+// nothing is lost while the connection is still down.
+const sendQueued = async () => {
+  const keys = await queueTransaction('readonly', (store) =>
+    store.getAllKeys()
+  );
+  for (const key of keys) {
+    const entry = await queueTransaction('readonly', (store) => store.get(key));
+    try {
+      await fetch(entry.url, {
+        method: 'POST',
+        body: entry.body,
+        headers: entry.contentType ? { 'content-type': entry.contentType } : {},
+      });
+    } catch (error) {
+      return;
+    }
+    await queueTransaction('readwrite', (store) => store.delete(key));
+  }
+};
+
+// Sync events and page messages can arrive together; one flush at a time
+// keeps an event from being sent twice.
+let flushing = null;
+const flushQueue = () => {
+  if (!flushing) {
+    flushing = sendQueued().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+const handleAnalytics = async (request) => {
+  const copy = request.clone();
+  try {
+    return await fetch(request);
+  } catch (error) {
+    await enqueue(copy);
+    return new Response(null, { status: 202 });
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith(ANALYTICS_PREFIX)) {
+    if (request.method === 'POST') {
+      event.respondWith(handleAnalytics(request));
+    } else if (request.method === 'GET') {
+      event.respondWith(handleOther(request));
+    }
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(handleStaticAsset(request));
+  } else {
+    event.respondWith(handleOther(request));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(flushQueue());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'flush-analytics') event.waitUntil(flushQueue());
+});